@@ -24,6 +24,17 @@
 }(this, function factory () {
   'use strict';
 
+  // Prefixes the keys of the tag index so that tags such as `__proto__` or
+  // `hasOwnProperty` cannot collide with the properties of objects.
+  var TAG_PREFIX = '#';
+
+  inheritError(TimeoutError, 'TimeoutError');
+  inheritError(CancelError, 'CancelError');
+  inheritError(NoRespondersError, 'NoRespondersError');
+  inheritError(WaterfallError, 'WaterfallError');
+  inheritError(VetoError, 'VetoError');
+  inheritError(PublicationError, 'PublicationError');
+
   return create();
 
   /**
@@ -39,7 +50,15 @@
    * to `"a.b.c.d"`, all subscribers to `""`, `"a"`, `"a.b"`, `"a.b.c"`,
    * `"a.b.c.d"` will be executed in priority order. If there is a
    * subscriber to `""` with a very high priority, it will be notified
-   * before `"a"` with a much lower priority.
+   * before `"a"` with a much lower priority. Both special characters can be
+   * changed for an instance using [`Arbiter.create`](#create).
+   *
+   * When subscribing, a generation can also be a wildcard. The asterisk `'*'`
+   * matches exactly one generation and the hash `'#'` matches any number of
+   * generations, including none. Subscribing to `"a.*.c"` is notified of
+   * publications to `"a.b.c"` and `"a.x.c"`, while `"a.#.c"` is also notified
+   * of `"a.c"` and `"a.b.x.c"`. Wildcard subscribers are notified in
+   * priority order along with all other matching subscribers.
    *
    * @typedef Topic
    * @memberof Arbiter
@@ -50,7 +69,8 @@
    * Arbiter.subscribe('a.b', function f3 () {});
    * Arbiter.subscribe('a.c', function f4 () {});
    * Arbiter.subscribe('a.b.c', function f5 () {});
-   * Arbiter.publish('a.b'); // Executes f1, f2, f3 in priority order
+   * Arbiter.subscribe('*.b', function f6 () {});
+   * Arbiter.publish('a.b'); // Executes f1, f2, f3, f6 in priority order
    */
 
   // *************************************************************************
@@ -62,26 +82,111 @@
    * descendants. When a publication occurs it will be notified. The behavior
    * can be modified by using the options parameter. `options.priority`
    * establishes the order to notify subscribers when multiple subscribers
-   * exist. The other option is `ignorePersisted`. This allows a subscriber
-   * to skip being notified of saved messages.
+   * exist. The `ignorePersisted` option allows a subscriber to skip being
+   * notified of saved messages. Lastly, `options.filter` is a function of
+   * `data` and `topic`. The subscription is only notified, and only counted by
+   * the `PublicationPromise`, when the filter returns a truthy value. A filter
+   * that throws counts as a failure of the subscription, or skips the message
+   * when replaying persisted messages. To automatically unsubscribe after being
+   * invoked `n` times, use `options.count`, or `options.once` for `n = 1`.
+   * Persisted messages count toward `n` as well. Subscriptions with
+   * `options.passive` are notified without being counted by the
+   * `PublicationPromise`. When a subscriber does not settle within
+   * `options.timeout` milliseconds, it is rejected with a `TimeoutError`. This
+   * overrides the timeout of the publication. Similarly, `options.retry`
+   * re-invokes a failed subscriber, see `RetryPolicy`. `options.tag` is a
+   * string, or an array of them, used to unsubscribe or resubscribe groups of
+   * subscriptions across topics. Finally, `options.handle` returns a
+   * `SubscriptionHandle` instead of a token.
    *
    * @function subscribe
    * @memberof Arbiter
    *
    * @param {Topic|Topic[]} topic The title of the topic to listen for
-   *   publications. Topics are hierarchical can be separated by `","`.
+   *   publications. Topics are hierarchical can be separated by `","`. They
+   *   may also contain the wildcards `'*'` and `'#'`.
    * @param {Subscription} subscription The function to invoke every
    *   time a publication occurs. If `subscription` is not a function, a
    *   no-operation is put in its place.
-   * @param {Object} [options]. An object that can have two properties.
-   *   `ignorePersited` and `priority`.
+   * @param {Object} [options]. An object that can have the properties
+   *   `ignorePersited`, `priority`, `filter`, `once`, `count`, `passive`,
+   *   `timeout`, `retry`, `tag` and `handle`.
    * @param {Object} [context=null] The value of `this` for the subscription.
-   * @return {Token} A unique token to remove this subscription from
-   *   the distribution list.
+   * @return {Token|SubscriptionHandle} A unique token to remove this
+   *   subscription from the distribution list. An array of tokens is returned
+   *   when subscribing to multiple topics.
    *
    * @example
    * Arbiter.publish('my.topic', null, {persist: true});
    * Arbiter.subscribe('my.topic', log, {ignorePersisted: true}); // => Nothing
+   *
+   * Arbiter.subscribe('orders', log, {filter: function (order) {
+   *   return order.total > 100;
+   * }});
+   * Arbiter.publish('orders', {total: 50}); // => Nothing
+   *
+   * Arbiter.subscribe('save', store, {retry: {attempts: 3, delay: 100}});
+   *
+   * var handle = Arbiter.subscribe('a, b', log, {handle: true});
+   * handle.suspend(); // Suspends the subscriptions to 'a' and 'b'
+   */
+
+  /**
+   * A `RetryPolicy` decides if, and when, a failed subscriber is invoked
+   * again with the same publication. The subscriber only counts as rejected
+   * after its last attempt fails. A retrying subscriber keeps its place in
+   * `options.semaphor` and each attempt has its own `options.timeout`.
+   *
+   * @typedef RetryPolicy
+   * @memberof Arbiter
+   * @property {number} attempts The maximum number of times the subscriber is
+   *   invoked, including the first.
+   * @property {string} [backoff='fixed'] Either `'fixed'` to wait `delay`
+   *   between each attempt or `'exponential'` to double the wait after each
+   *   attempt.
+   * @property {number} [delay=0] The milliseconds to wait before the first
+   *   retry.
+   * @property {Function} [retryIf] A function of the error and the number of
+   *   attempts so far. The subscriber is only retried when it returns a truthy
+   *   value.
+   *
+   * @example
+   *
+   * Arbiter.publish('save', data, {retry: {
+   *   attempts: 5,
+   *   backoff: 'exponential',
+   *   delay: 50,
+   *   retryIf: function (err) {
+   *     return err.code === 'EBUSY';
+   *   }
+   * }}).then(function (results) {
+   *   // promise.retries is the number of times subscribers were retried
+   * });
+   */
+
+  /**
+   * A `SubscriptionHandle` is returned by `subscribe` when `options.handle` is
+   * true. It controls every subscription created by the call to `subscribe`
+   * without having to keep the arbiter and the tokens together.
+   *
+   * @typedef SubscriptionHandle
+   * @memberof Arbiter
+   * @property {Token|Token[]} token The token(s) that `subscribe` would have
+   *   returned.
+   * @property {Function} unsubscribe Removes the subscriptions.
+   * @property {Function} suspend Suspends the subscriptions.
+   * @property {Function} resume Reactivates suspended subscriptions.
+   * @property {Function} isActive Returns true when every subscription exists
+   *   and is not suspended.
+   * @property {Function} setPriority Changes the priority of every
+   *   subscription to its only argument.
+   *
+   * @example
+   *
+   * var handle = Arbiter.subscribe('a', log, {handle: true});
+   * handle.setPriority(10);
+   * handle.unsubscribe();
+   * handle.isActive(); // => false
    */
 
   /**
@@ -90,16 +195,34 @@
    * "done working" if it returns a value (even `undefined`). If an error is
    * thrown, then it is assumed that the subscriber failed. If it returns a
    * `Promise`, then it is "done" when the `Promise` is fulfilled. If rejected,
-   * it is assumed to fail. If the subscriber function has a length of 3
-   * or more, then it is provided with callback function as the third argument
+   * it is assumed to fail. If the subscriber function has a length of 3,
+   * then it is provided with callback function as the third argument
    * to be treated as a node-style callback. The first argument to the callback
-   * is the error and the second is the "return value".
+   * is the error and the second is the "return value". A node-style
+   * subscriber may also return a `Promise` instead of using the callback.
+   *
+   * The fourth argument is an `AbortSignal` that is aborted when the
+   * publication is canceled. Where `AbortController` is not available, it is
+   * an object with the `aborted`, `reason` and `onabort` properties. Declaring
+   * it does not make a subscriber node-style, so the third argument of those
+   * subscribers is `null`.
+   *
+   * A subscriber can consume a publication by returning `Arbiter.STOP` (or
+   * fulfilling with it). None of the subscribers after it, such as those of
+   * ancestor topics with a lower priority, are invoked. Subscribers that are
+   * already running are unaffected, so to stop lower priority subscribers
+   * from starting asynchronously, use `options.semaphor`.
+   *
+   * A subscriber can also veto a publication by returning, throwing or
+   * settling with `Arbiter.VETO`. The subscribers after it are skipped the
+   * same way and the `PublicationPromise` rejects with a `VetoError`.
    *
    * @callback Subscription
    * @memberof Arbiter
    * @param {Object} data The data associated with the publication.
    * @param {Topic} topic The topic to which the publication belongs.
    * @param {Function} [callback] A node style callback.
+   * @param {AbortSignal} [signal] Aborted when the publication is canceled.
    * @return {Object} This is either a `Promise` or a value used to
    *   communicate when the subscriber is done.
    *
@@ -126,15 +249,22 @@
    */
   function subscribe (state, topic, subscription, options, context) {
     assert(typeof topic, 'string', 'Arbiter.subscribe', 'strings', 'topics');
-    options = merge(state.options, options);
+
+    // `Arbiter.options.timeout` and `retry` are decided when publishing, so
+    // only those given to `subscribe` belong to the subscription.
+    var own = options || {};
+    options = merge(
+      merge(state.options, {timeout: own.timeout, retry: own.retry}), options
+    );
 
     var
+      separator = state.separator,
       ancestor = addTopicLine(
-        topic, ancestorTopicSearch(topic, state._topics)
+        separator, topic, ancestorTopicSearch(separator, topic, state._topics)
       ),
       node = insert(
         getPriority,
-        createSubscription(state, subscription, options, context),
+        createSubscription(state, topic, subscription, options, context),
         ancestor.subscriptions
       ),
       subscriptionToken = {
@@ -143,20 +273,31 @@
         priority: node.priority
       };
 
-    // Notify late subscribers of persisted messages
+    curryMap([state._tags, node], tagSubscription, node.tags);
+
+    // Notify late subscribers of persisted messages. Patterns can only match
+    // messages persisted below their youngest non-wildcard ancestor.
     if (!options.ignorePersisted) {
       var
-        persistedDescendents = map(getPersisted, descendents(ancestor)),
+        literalAncestor = ancestorTopicSearch(
+          separator, literalTopicPrefix(separator, topic), state._topics
+        ),
+        persistedDescendents = map(getPersisted, descendents(literalAncestor)),
         persistedMessages = mergeBy(getFingerArrayOrder, persistedDescendents),
 
         persisted, i, n;
 
       for (i = 0, n = persistedMessages.length; i < n; i++) {
         persisted = persistedMessages[i];
-        !subscription.suspended // eslint-disable-line no-unused-expressions
-          && subscription.call(
-            subscription.context, persisted.data, persisted.topic
-          );
+        if (isTopicMatch(separator, topic, persisted.topic)
+          && isReplayed(node, persisted)
+        ) {
+          consumeSubscription(state, node);
+
+          // There is no publication to report the failure of a replay to
+          subscriptionInvoker(node, persisted.data, persisted.topic, null)
+            .then(null, noop);
+        }
       }
     }
 
@@ -204,6 +345,16 @@
    *   promise settles.
    * @property {number} pending The number of promises pending when this
    *   promise settles.
+   * @property {number} skipped The number of subscribers that were never
+   *   invoked because a subscriber returned `Arbiter.STOP` or a waterfall
+   *   failed.
+   * @property {number} retries The number of times failed subscribers were
+   *   invoked again because of `options.retry`.
+   * @property {number} canceled The number of subscribers that were pending
+   *   or not yet invoked when the publication was canceled.
+   * @property {Function} cancel Stops invoking subscribers, aborts the signal
+   *   given to the running ones and rejects with a `CancelError`. Returns
+   *   false if the publication was already canceled.
    * @property {Token} token If the `options.persist` is true, then a token is
    *   added to the promise so it can be removed later.
    *
@@ -215,22 +366,165 @@
    *   .then(function(data) {
    *     // This is fulfilled when one of the subscribers fulfills because
    *     // of `latch: 1`. In this case we could also use `latch: 0.5`.
-   *   }, function(errs) {
+   *   }, function(err) {
    *     // This occurs when it is impossible to satisify the latch. In this
-   *     // case, both have to fail.
+   *     // case, both have to fail and `err.errors` has both reasons.
    *   });
    *
    */
   function publish (state, topic, data, options) {
     assert(typeof topic, 'string', 'Arbiter.publish', 'strings', 'topics');
-    options = merge(state.options, options);
+    return dispatchPublication(
+      state, topic, data, merge(state.options, options), createResolver()
+    );
+  }
+
+  /**
+   * Registers a responder for requests made with `Arbiter.request`. Other
+   * than answering requests, responders are regular subscriptions and are
+   * notified of publications as well. A responder may return
+   * `Arbiter.DECLINE` (or fulfill with it) to let the next responder answer
+   * the request.
+   *
+   * @function respond
+   * @memberof Arbiter
+   *
+   * @param {Topic|Topic[]} topic The topics to respond to.
+   * @param {Subscription} handler Produces the response to a request.
+   * @param {Object} [options] The same options accepted by `subscribe`.
+   * @param {Object} [context=null] The value of `this` for the handler.
+   * @return {Token|SubscriptionHandle} The same value `subscribe` produces.
+   *
+   * @example
+   *
+   * Arbiter.respond('user.get', function (id) {
+   *   return cache[id] || Arbiter.DECLINE;
+   * }, {priority: 1});
+   * Arbiter.respond('user.get', function (id) {
+   *   return fetchUser(id);
+   * });
+   */
+  function respond (state, topic, handler, options, context) {
+    return subscribeDispatcher(
+      state, topic, handler, merge(options, {responder: true}), context
+    );
+  }
+
+  /**
+   * Requests a single response from the responders of a topic. Responders
+   * are tried one at a time in priority order until one fulfills, which
+   * fulfills the request with its value. With `options.race`, every
+   * responder is invoked at once and the first to fulfill answers. Regular
+   * subscribers are notified of the request but cannot answer it.
+   *
+   * The request rejects with a `NoRespondersError` when there are no
+   * responders or when all of them decline. If a responder fails, it
+   * rejects with a `PublicationError` of the failures instead. When
+   * `options.timeout` passes without a response, it rejects with a
+   * `TimeoutError`.
+   *
+   * @function request
+   * @memberof Arbiter
+   *
+   * @param {Topic} topic The topic of the request.
+   * @param {Object} [data] The data given to the responders.
+   * @param {Object} [options] The same options accepted by `publish`, except
+   *   `timeout` is the number of milliseconds to wait for a response and
+   *   `race` invokes all of the responders at once.
+   * @return {Promise} The response. Like `PublicationPromise`, it has a
+   *   `cancel` method.
+   *
+   * @example
+   *
+   * Arbiter.request('user.get', 42, {timeout: 500}).then(function (user) {
+   *   log(user);
+   * }, function (err) {
+   *   err instanceof Arbiter.NoRespondersError;
+   * });
+   */
+  function request (state, topic, data, options) {
+    assert(typeof topic, 'string', 'Arbiter.request', 'strings', 'topics');
+    options = options || {};
+
+    var
+      timeout = options.timeout >= 0 ? +options.timeout : Infinity,
+      resolver = createResolver(),
+      publication, response;
+
+    resolver.request = true;
+    publication = dispatchPublication(state, topic, data, merge(
+      merge(state.options, options), {
+        latch: 1,
+        settlementLatch: false,
+        semaphor: options.race ? Infinity : 1,
+        timeout: state.options.timeout,
+        deadline: timeout,
+        partial: false,
+        results: 'values',
+        reduce: null,
+        rejectWithArray: false
+      }
+    ), resolver);
+
+    response = publication.then(function requestFulfilled (values) {
+      return values[0];
+    }, function requestRejected (err) {
+      // Canceled and vetoed requests reject with their own errors
+      if (!(err instanceof PublicationError)) {
+        return Promise.reject(err);
+      }
+
+      var failures = reduce(appendFailure, [], err.errors);
+
+      if (publication.pending > 0) {
+        return Promise.reject(new TimeoutError(
+          'Arbiter.request to "' + topic + '" timed out after '
+          + timeout + 'ms',
+          {topic: topic, timeout: timeout}
+        ));
+      } else if (!failures.length) {
+        return Promise.reject(new NoRespondersError(
+          'Arbiter.request to "' + topic + '" has no responders',
+          {topic: topic, declined: err.errors.length}
+        ));
+      }
+
+      err.errors = failures;
+      return Promise.reject(options.rejectWithArray ? failures : err);
+    });
+
+    response.cancel = publication.cancel;
+    return response;
+  }
+
+  // Notifies the subscribers of a publication using `resolver`
+  function dispatchPublication (state, topic, data, options, resolver) {
+    // Each subscriber of a waterfall waits for the value of the previous one
+    if (options.mode === 'waterfall') {
+      resolver.waterfall = true;
+      options = merge(options, {semaphor: 1});
+    }
+
+    var
+      signal = options.signal,
+      args = [state, topic, data, options, resolver];
+
+    resolver.topic = topic;
+    resolver.reducer = options.reduce ? createReducer(options) : null;
+    resolver.promise.cancel = partial1(cancelPublication, resolver);
+
+    if (signal && signal.aborted) {
+      cancelPublication(resolver, signal.reason);
+    } else if (signal && typeof signal.addEventListener === 'function') {
+      listenForAbort(resolver, signal);
+    }
 
-    var args = [state, topic, data, options];
     if (options.sync) {
-      return hierarchicalTopicDispatcher(state, topic, data, options);
+      return hierarchicalTopicDispatcher.apply(null, args);
     }
 
-    return async(hierarchicalTopicDispatcher, args);
+    async(hierarchicalTopicDispatcher, args);
+    return resolver.promise;
   }
 
   /**
@@ -242,9 +536,10 @@
    * @function unsubscribe
    * @memberof Arbiter
    *
-   * @param {Token|Topic} token Removes the subscription associated with the
-   *   provided token. If a topic is provided, then this removes all
-   *   subscribers and their descendants are removed.
+   * @param {Token|Topic|Object} token Removes the subscription associated
+   *   with the provided token. If a topic is provided, then this removes all
+   *   subscribers and their descendants are removed. An object with a `tag`
+   *   property removes every subscription with that tag.
    * @param {Boolean} [suspend=false] If this true, then the subscriptions
    *   are only suspended. This means that they will not be notified of any
    *   publications, but they can be re-enabled with [Arbiter.resubscribe].
@@ -261,13 +556,24 @@
    * Arbiter.unsubscribe(bToken); // 'a', 'a.b', 'c' remain
    * Arbiter.unsubscribe('a'); // Only 'c' remains
    * Arbiter.unsubscribe(''); // Removes all subscriptions
+   *
+   * Arbiter.subscribe('x', function x () {}, {tag: 'widget'});
+   * Arbiter.subscribe('y', function y () {}, {tag: 'widget'});
+   * Arbiter.unsubscribe({tag: 'widget'}); // Removes x and y
    */
   function unsubscribe (state, tokens, suspend) {
-    tokens = typeof tokens === 'string' ? tokens.split(/,\s*/) : tokens;
+    tokens = typeof tokens === 'string'
+      ? splitTopics(state.listDelimiter, tokens) : tokens;
     tokens = !tokens.length ? [tokens] : tokens;
 
     var result = curryMap(
-      {topics: state._topics, suspend: suspend}, removeSubscriber, tokens
+      {
+        topics: state._topics,
+        separator: state.separator,
+        tags: state._tags,
+        suspend: suspend
+      },
+      removeSubscriber, tokens
     );
 
     return result.length === 1 ? result[0] : result;
@@ -280,7 +586,9 @@
    * @function resubscribe
    * @memberof Arbiter
    *
-   * @param {Token|Topic} token The token or topic to reactivates
+   * @param {Token|Topic|Object} token The token or topic to reactivates. An
+   *   object with a `tag` property reactivates every subscription with that
+   *   tag.
    * @return {Boolean} Returns false if the token's subscription cannot be
    *   located and true otherwise. This returns an array if multiple tokens
    *   or topics used.
@@ -290,12 +598,53 @@
    * Arbiter.subscribe('a, b, c', function() {}); // Create 3 listeners
    * Arbiter.unsubscribe('', true); // Suspends all listeners
    * Arbiter.resubscribe(''); // Resumes all listeners
+   *
+   * Arbiter.subscribe('x, y', function() {}, {tag: 'widget'});
+   * Arbiter.unsubscribe({tag: 'widget'}, true); // Suspends x and y
+   * Arbiter.resubscribe({tag: 'widget'}); // Resumes x and y
    */
   function resubscribe (state, tokens) {
-    tokens = typeof tokens === 'string' ? tokens.split(/,\s*/) : tokens;
+    tokens = typeof tokens === 'string'
+      ? splitTopics(state.listDelimiter, tokens) : tokens;
     tokens = !tokens.length ? [tokens] : tokens;
 
-    var result = curryMap(state._topics, unsuspendSubscriber, tokens);
+    var result = curryMap(state, unsuspendSubscriber, tokens);
+
+    return result.length === 1 ? result[0] : result;
+  }
+
+  /**
+   * Changes the priority of the subscriptions associated with a token. The
+   * subscription keeps its function, context, filter and suspended state,
+   * but is notified in the order of its new priority. Previous tokens of the
+   * subscription continue to work.
+   *
+   * @function reprioritize
+   * @memberof Arbiter
+   *
+   * @param {Token|Token[]} token The token of the subscription to move.
+   *   Unlike `unsubscribe`, topics are not accepted.
+   * @param {number} priority The new priority of the subscription.
+   * @return {Token|Boolean} The updated token or false if the token's
+   *   subscription cannot be located. This returns an array if multiple
+   *   tokens are used.
+   *
+   * @example
+   *
+   * var token = Arbiter.subscribe('keydown', panelHandler);
+   * token = Arbiter.reprioritize(token, 10); // Notified before the others
+   */
+  function reprioritize (state, tokens, priority) {
+    assert(
+      !!tokens && typeof tokens === 'object', true,
+      'Arbiter.reprioritize', 'objects', 'tokens'
+    );
+    tokens = !tokens.length ? [tokens] : tokens;
+
+    var result = curryMap(
+      {topics: state._topics, separator: state.separator, priority: priority},
+      reprioritizeSubscriber, tokens
+    );
 
     return result.length === 1 ? result[0] : result;
   }
@@ -318,14 +667,24 @@
    * Arbiter.removedPersisted();
    * Arbiter.subscribe('a', function a2 () {}); // Does not execute a2
    */
-  function removePersisted (topics, token) {
+  function removePersisted (state, token) {
+    var separator = state.separator, topics = state._topics, found;
+
     if (typeof token === 'string') {
-      return !!applyTopicDescendents(empty, 'persisted', token, topics);
+      found = !!applyTopicDescendents(
+        empty, 'persisted', separator, token, topics
+      );
+
+      if (found) {
+        pruneTopic(separator, token, topics);
+      }
+
+      return found;
     }
 
     var
       tokenTopic = token.topic,
-      node = ancestorTopicSearch(tokenTopic, topics);
+      node = ancestorTopicSearch(separator, tokenTopic, topics);
 
     if (node.topic !== tokenTopic) {
       return false;
@@ -334,11 +693,12 @@
     var
       id = token.id,
       persisted = node.persisted,
-      i = binaryIndexBy(getId, id, node.persisted),
+      i = binaryIndexBy(getOrder, id, node.persisted),
       persistedMessage = persisted[i];
 
     if (persistedMessage && persistedMessage.order === id) {
       persisted.splice(i, 1);
+      pruneTopicLine(separator, tokenTopic, topics);
       return true;
     }
 
@@ -346,208 +706,1397 @@
   }
 
   /**
-   * Creates a new instance of Arbiter that is completely separate from the
-   * original. It has its own set of topics, subscribers, and options.
+   * Waits for the next publication to a topic. The returned promise fulfills
+   * with the `data` and `topic` of the publication. The subscription used to
+   * wait is always removed, whether the promise fulfills or rejects.
    *
-   * @function create
+   * @function waitFor
    * @memberof Arbiter
    *
-   * @return {Arbiter} The new instance.
+   * @param {Topic|Topic[]} topic The topics to wait for.
+   * @param {Object} [options] `options.filter` ignores publications in the
+   *   same way as `subscribe`. `options.timeout` is the number of
+   *   milliseconds to wait before rejecting. `options.persisted` allows a
+   *   persisted message to fulfill the promise. `options.participate` counts
+   *   the waiting subscription in the publisher's `PublicationPromise`.
+   * @return {Promise} Fulfills with an object with the `data` and `topic`
+   *   properties or rejects when `options.timeout` elapses.
    *
    * @example
    *
-   * var arbiter = Arbiter.create();
-   * Arbiter.subscribe('a', function a () {});
-   * arbiter.publish('a'); // Does not execute a
+   * Arbiter.waitFor('app.ready', {timeout: 1000}).then(function (result) {
+   *   log(result.data, result.topic);
+   * }, function (err) {
+   *   // The app was not ready within a second
+   * });
    */
-  function create () {
-    /**
-     * Arbiter has a few options to affect the way that subscribers are
-     * notified and PublicationPromises are resolved.
-     *
-     * @typedef Options
-     * @memberof Arbiter
-     *
-     * @property {boolean} persist=false When true, subscribers are notified
-     *   of past messages.
-     * @property {boolean} sync=false When true, invokes the subscription
-     *   functions synchronously.
-     * @property {boolean} preventBubble=false When true, only the topics
-     *   that match the published topics exactly are invoked.
-     * @property {number} latch=0.9999999999999999 When this number is less
-     *   than one, it is the ratio of subscribers that must fulfilled before
-     *   resolving the `PublicationPromise`. If greater or equal to one,
-     *   then it is a count of the subscribers that must fulfill.
-     * @property {boolean} settlementLatch=false Changes the resolving logic
-     *   of `PublicationPromise` to be based off resolved rather than
-     *   fulfilled promises. This means that failed subscribers will count
-     *   toward the tally of latch.
-     * @property {number} semaphor=Infinity The maximum number of subscribers
-     *   to allowed to be pending at any given point in time.
-     * @property {boolean} updateAfterSettlement=false If true, updates the
-     *   `PublicationPromise` after it resolves.
-     *
-     * @example
-     *
-     * Arbiter.subscribe('a', log);
-     * Arbiter.subscribe('a.b', log);
-     * Arbiter.subscribe('a.b.c', log);
-     * var promise = Arbiter.publish('a.b.c', {latch: 1});
-     *
-     * // Remeber publish is async by default?
-     * // promise.pending === 3;
-     * // promise.fulfilled === 0;
-     * // promise.rejected === 0;
-     */
-    var
-      topics = createNode(''),
-      options = {
-        persist: false,
-        sync: false,
-        preventBubble: false,
-        latch: 0.9999999999999999,
-        settlementLatch: false,
-        semaphor: Infinity,
-        updateAfterSettlement: false
-      },
-      arbiter = {
-        _topics: topics,
-        options: options,
-        version: 'v1.0.0',
-        id: mkGenerator(),
-        create: create
-      };
+  function waitFor (state, topic, options) {
+    options = options || {};
 
-    arbiter.subscribe = partial1(subscribeDispatcher, arbiter);
-    arbiter.publish = partial1(publish, arbiter);
-    arbiter.unsubscribe = partial1(unsubscribe, arbiter);
-    arbiter.resubscribe = partial1(resubscribe, arbiter);
-    arbiter.removePersisted = partial1(removePersistedDispatcher, arbiter);
+    return new Promise(function waitForResolver (fulfill, reject) {
+      var
+        settled = false,
+        timeout = +options.timeout,
+        timer, tokens;
+
+      tokens = subscribeDispatcher(state, topic, function waitForSubscription (
+        data, publishedTopic
+      ) {
+        settle();
+        fulfill({data: data, topic: publishedTopic});
+      }, {
+        once: true,
+        filter: options.filter,
+        ignorePersisted: !options.persisted,
+        passive: !options.participate
+      });
 
-    return arbiter;
+      // A persisted message may have already settled the promise before the
+      // subscriptions to the other topics were known
+      if (settled) {
+        unsubscribe(state, tokens);
+      } else if (timeout >= 0 && timeout < Infinity) {
+        timer = setTimeout(function waitForTimeout () {
+          settle();
+          reject(new TimeoutError(
+            'Arbiter.waitFor timed out after ' + timeout + 'ms',
+            {topic: topic, timeout: timeout}
+          ));
+        }, timeout);
+      }
+
+      // Removes the subscriptions to every topic and stops the timer
+      function settle () {
+        settled = true;
+        clearTimeout(timer);
+
+        if (tokens) {
+          unsubscribe(state, tokens);
+        }
+      }
+    });
   }
 
-  // *************************************************************************
-  //   Private Arbiter Data Structures Functions
-  // *************************************************************************
+  /**
+   * Streams publications to a topic as an async iterator. Each item is an
+   * object with the `data` and `topic` of a publication. The subscriber
+   * completes, and the publisher's `PublicationPromise` is updated, when the
+   * consumer requests the next item. Publications that arrive while the
+   * consumer is busy are buffered. When the buffer is full, `options.overflow`
+   * decides what happens: `'drop-oldest'` (the default) and `'drop-newest'`
+   * reject the dropped publication's subscriber and `'error'` ends the stream
+   * with an error once the buffered items are consumed. Ending the iteration
+   * early, e.g. with `break`, removes the subscriptions.
+   *
+   * @function stream
+   * @memberof Arbiter
+   *
+   * @param {Topic|Topic[]} topic The topics to stream.
+   * @param {Object} [options] `options.bufferSize` is the number of
+   *   publications to buffer and defaults to `Infinity`. `options.overflow` is
+   *   described above. The remaining options are passed to `subscribe`.
+   * @return {Object} An object with `next` and `return` methods that also
+   *   implements `Symbol.asyncIterator` where it is supported.
+   *
+   * @example
+   *
+   * for await (const {data, topic} of Arbiter.stream('jobs')) {
+   *   await process(data, topic);
+   * }
+   */
+  function stream (state, topic, options) {
+    options = options || {};
 
-  // Takes care of all the heavy lifting of publishing a message. This
-  // includes locating all topics, their subscribers, publishing the data and,
-  // if necessary, storing the message for late subscribers.
-  function hierarchicalTopicDispatcher (state, topic, data, options) {
     var
-      lineage = findLineage(getTopic, isAncestorTopic, topic, state._topics),
-      topicNode = lineage[lineage.length - 1],
-      subscriptions = options.preventBubble
-        ? topicNode.topic === topic ? topicNode.subscriptions : []
-        : mergeBy(getFingerArrayPriority, map(getSubscriptions, lineage)),
-      fulfilledPromise = subscriptionDispatcher(
-        topic, data, options, subscriptions
-      );
-
-    if (options.persist) {
-      var id = state.id();
+      bufferSize = options.bufferSize >= 0 ? +options.bufferSize : Infinity,
+      overflow = options.overflow || 'drop-oldest',
+      buffer = [],
+      consumers = [],
+      processing = null,
+      failure = null,
+      done = false,
+      iterator = {next: next},
+      tokens = subscribeDispatcher(state, topic, streamSubscription, options);
+
+    // A persisted message may have already overflowed the buffer
+    if (done) {
+      unsubscribe(state, tokens);
+    }
 
-      topicNode = addTopicLine(topic, topicNode);
-      topicNode.persisted.push(
-        {topic: topic, data: data, order: id}
-      );
-      fulfilledPromise.token = {
-        topic: topic,
-        id: id
+    iterator['return'] = finish;
+    if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+      iterator[Symbol.asyncIterator] = function streamIterator () {
+        return iterator;
       };
     }
 
-    return fulfilledPromise;
-  }
-
-  // Invokes the next set of subscriptions
-  function resumeSubscriptionDispatcher (
-    topic, data, options, subscriptions, resolver, fulfill, reject
-  ) {
-    var
-      promise = resolver.promise,
+    return iterator;
+
+    function streamSubscription (data, publishedTopic) {
+      var result = new Promise(function streamItem (fulfill, reject) {
+        var item = {
+          value: {data: data, topic: publishedTopic},
+          fulfill: fulfill,
+          reject: reject
+        };
+
+        if (done) {
+          reject(new Error('Arbiter.stream has ended'));
+        } else if (consumers.length) {
+          deliver(consumers.shift(), item);
+        } else if (buffer.length < bufferSize) {
+          buffer.push(item);
+        } else if (overflow === 'drop-oldest') {
+          buffer.push(item);
+          drop(buffer.shift());
+        } else if (overflow === 'drop-newest') {
+          drop(item);
+        } else {
+          failure = new Error('Arbiter.stream buffer overflowed');
+          end();
+          reject(failure);
+        }
+      });
 
-      subscription;
+      // Persisted messages are replayed without a publisher to handle the
+      // rejection of a dropped item
+      result.then(null, noop);
+      return result;
+    }
 
-    for (
-      ;
-      resolver.i >= 0 && promise.pending < options.semaphor;
-      resolver.i -= 1
-    ) {
-      subscription = subscriptions[resolver.i];
-      if (!subscription.suspended) {
-        promise.pending += 1;
-        subscriptionInvoker(subscription, data, topic).then(fulfill, reject);
-      }
+    function next () {
+      return new Promise(function streamNext (fulfill, reject) {
+        complete();
+
+        if (buffer.length) {
+          deliver({fulfill: fulfill}, buffer.shift());
+        } else if (failure) {
+          reject(failure);
+        } else if (done) {
+          fulfill({done: true});
+        } else {
+          consumers.push({fulfill: fulfill});
+        }
+      });
     }
-  }
 
-  // Takes care of sending all the requests on their way
-  function removePersistedDispatcher (state, tokens) {
-    tokens = tokens && tokens.token || tokens || '';
-    tokens = typeof tokens === 'string' ? tokens.split(/,\s*/) : tokens;
-    tokens = !tokens.length ? [tokens] : tokens;
+    function finish () {
+      complete();
+      end();
 
-    var result = curryMap(state._topics, removePersisted, tokens);
+      while (buffer.length) {
+        drop(buffer.shift());
+      }
 
-    return result.length === 1 ? result[0] : result;
-  }
+      while (consumers.length) {
+        consumers.shift().fulfill({done: true});
+      }
 
-  // Invokes all the subscriptions according to `options` and returns a promise
-  // that resolves according to `options`.
-  function subscriptionDispatcher (topic, data, options, subscriptions) {
-    var
-      resolver = createResolver(),
-      fulfill = resolveUse('fulfilledValues', 'fulfilled', options, resolver),
-      reject = resolveUse('rejectedValues', 'rejected', options, resolver);
+      return Promise.resolve({done: true});
+    }
 
-    resolver.i = subscriptions.length - 1;
-    resolver.resume = {
-      topic: topic,
-      data: data,
-      subscriptions: subscriptions,
-      fulfill: fulfill,
-      reject: reject
-    };
+    function deliver (consumer, item) {
+      processing = item;
+      consumer.fulfill({value: item.value, done: false});
+    }
 
-    resumeSubscriptionDispatcher(
-      topic, data, options, subscriptions, resolver, fulfill, reject
-    );
-    evaluateLatch(resolver, options);
+    // The consumer requesting another item completes the previous one
+    function complete () {
+      if (processing) {
+        processing.fulfill();
+        processing = null;
+      }
+    }
 
-    return resolver.promise;
-  }
+    function drop (item) {
+      item.reject(new Error('Arbiter.stream dropped a publication'));
+    }
 
-  // Takes care all the bookkeeping work surrounding a subscriber resolving
-  // resolving.
-  function resolveUse (appendList, increment, options, resolver) {
-    return function resolveUseClosure (value) {
-      // TODO This should state.options('update..
-      // TODO look at all of options.xxxx
-      if (resolver.settled && !options.updateAfterSettlement) {
-        return;
+    function end () {
+      if (!done && tokens) {
+        unsubscribe(state, tokens);
       }
 
-      var promise = resolver.promise;
-      resolver[appendList].push(value);
-      promise[increment] += 1;
-      promise.pending -= 1;
+      done = true;
+    }
+  }
+
+  /**
+   * Creates a view of the arbiter confined to the descendents of a topic. The
+   * view has its own `subscribe`, `publish`, `unsubscribe`, `resubscribe`,
+   * `removePersisted` and `scope` functions. Every topic given to them is
+   * relative to the scope, so `''` is the scope itself. Subscribers receive
+   * relative topics and tokens, including the tokens of persisted
+   * publications, are relative as well. Tag selectors only reach the
+   * subscriptions within the scope. Subscribers outside of the scope still
+   * receive the full topic of a publication.
+   *
+   * @function scope
+   * @memberof Arbiter
+   *
+   * @param {Topic} prefix The topic of the scope.
+   * @return {Object} An arbiter-like object limited to the scope.
+   *
+   * @example
+   *
+   * var charts = Arbiter.scope('plugins.charts');
+   * charts.subscribe('render', function (data, topic) {
+   *   log(topic); // => 'render'
+   * });
+   * Arbiter.publish('plugins.charts.render');
+   * charts.publish('render');
+   * charts.unsubscribe(''); // Removes the subscriptions in 'plugins.charts'
+   */
+  function scope (state, prefix) {
+    assert(typeof prefix, 'string', 'Arbiter.scope', 'strings', 'prefixes');
+
+    var
+      view = {arbiter: state, prefix: prefix},
+      scoped = {prefix: prefix};
+
+    scoped.subscribe = partial1(scopedSubscribe, view);
+    scoped.publish = partial1(scopedPublish, view);
+    scoped.unsubscribe = partial1(scopedUnsubscribe, view);
+    scoped.resubscribe = partial1(scopedResubscribe, view);
+    scoped.removePersisted = partial1(scopedRemovePersisted, view);
+    scoped.scope = partial1(scopedScope, view);
+
+    return scoped;
+  }
+
+  /**
+   * Removes every topic that no longer has subscriptions, persisted messages
+   * or descendents with either. Topics are created as they are subscribed or
+   * persisted and are removed automatically when their subscriptions and
+   * persisted messages are removed with `unsubscribe` or `removePersisted`,
+   * so this is rarely necessary.
+   *
+   * @function compact
+   * @memberof Arbiter
+   *
+   * @return {number} The number of topics that were removed.
+   *
+   * @example
+   *
+   * Arbiter.compact(); // => 0
+   */
+  function compact (state) {
+    var
+      args = {
+        topics: state._topics,
+        separator: state.separator,
+        tags: state._tags
+      },
+      key;
+
+    for (key in args.tags) {
+      if (hasOwn(args.tags, key)) {
+        taggedSubscriptions(args, key.slice(TAG_PREFIX.length));
+      }
+    }
+
+    return compactNode(state._topics);
+  }
+
+  /**
+   * Lists every topic that currently has subscriptions or persisted messages.
+   * Topics containing wildcards are listed as they were subscribed.
+   *
+   * @function topics
+   * @memberof Arbiter
+   *
+   * @return {Topic[]} The topics in sorted order.
+   *
+   * @example
+   *
+   * Arbiter.subscribe('a.b, c', log);
+   * Arbiter.publish('d', null, {persist: true});
+   * Arbiter.topics(); // => ['a.b', 'c', 'd']
+   */
+  function listTopics (state) {
+    var
+      nodes = descendents(state._topics),
+      result = [],
+
+      i, n;
+
+    for (i = 0, n = nodes.length; i < n; i++) {
+      if (nodes[i].subscriptions.length || nodes[i].persisted.length) {
+        result.push(nodes[i].topic);
+      }
+    }
+
+    // The tree is ordered by level, not by the characters of whole topics
+    return result.sort();
+  }
+
+  /**
+   * Counts the active subscribers that a publication to `topic` would notify.
+   * By default this behaves like `options.preventBubble`, only counting
+   * subscribers that match `topic` exactly. Suspended subscribers are never
+   * counted.
+   *
+   * @function subscriberCount
+   * @memberof Arbiter
+   *
+   * @param {Topic} topic The topic of the hypothetical publication.
+   * @param {Object} [options] When `options.includeAncestors` is true, the
+   *   subscribers of ancestor topics are also counted.
+   * @return {number} The number of subscribers.
+   *
+   * @example
+   *
+   * Arbiter.subscribe('a', log);
+   * Arbiter.subscribe('a.*', log);
+   * Arbiter.subscriberCount('a.b'); // => 1
+   * Arbiter.subscriberCount('a.b', {includeAncestors: true}); // => 2
+   */
+  function subscriberCount (state, topic, options) {
+    assert(
+      typeof topic, 'string', 'Arbiter.subscriberCount', 'strings', 'topics'
+    );
+
+    var
+      nodes = findMatchingNodes(
+        state.separator, topic, !(options && options.includeAncestors),
+        state._topics
+      ),
+      count = 0,
+
+      subscriptions, i, j;
+
+    for (i = 0; i < nodes.length; i++) {
+      subscriptions = nodes[i].subscriptions;
+
+      for (j = 0; j < subscriptions.length; j++) {
+        count += subscriptions[j].suspended ? 0 : 1;
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Determines if a publication to `topic` would notify any subscribers. This
+   * accepts the same options as [`Arbiter.subscriberCount`](#subscriberCount).
+   *
+   * @function hasSubscribers
+   * @memberof Arbiter
+   *
+   * @param {Topic} topic The topic of the hypothetical publication.
+   * @param {Object} [options] See `Arbiter.subscriberCount`.
+   * @return {boolean} True if at least one subscriber would be notified.
+   *
+   * @example
+   *
+   * Arbiter.subscribe('a', log);
+   * Arbiter.hasSubscribers('a.b'); // => false
+   * Arbiter.hasSubscribers('a.b', {includeAncestors: true}); // => true
+   */
+  function hasSubscribers (state, topic, options) {
+    return subscriberCount(state, topic, options) > 0;
+  }
+
+  /**
+   * Produces a snapshot of all the topics, their subscriptions and persisted
+   * messages. The snapshot is made of plain objects and is not updated, so it
+   * is safe to modify or serialize.
+   *
+   * @function inspect
+   * @memberof Arbiter
+   *
+   * @return {TopicSnapshot} A snapshot of the root topic, `""`.
+   *
+   * @example
+   *
+   * Arbiter.subscribe('a', log, {priority: 2});
+   * Arbiter.inspect();
+   * // => {topic: '', subscriptions: [], persisted: 0, children: [
+   * //   {topic: 'a', subscriptions: [
+   * //     {id: -9007199254740992, priority: 2, suspended: false}
+   * //   ], persisted: 0, children: []}
+   * // ]}
+   */
+
+  /**
+   * A `TopicSnapshot` describes a topic at the time `Arbiter.inspect` was
+   * invoked.
+   *
+   * @typedef TopicSnapshot
+   * @memberof Arbiter
+   * @property {Topic} topic The topic.
+   * @property {Object[]} subscriptions The `id`, `priority` and `suspended`
+   *   flag of each subscription to the topic, in ascending priority order.
+   * @property {number} persisted The number of persisted messages.
+   * @property {TopicSnapshot[]} children The snapshots of the next generation.
+   */
+  function inspect (state) {
+    return snapshotNode(state._topics);
+  }
+
+  /**
+   * Creates a new instance of Arbiter that is completely separate from the
+   * original. It has its own set of topics, subscribers, and options. The
+   * characters that give topics their special meaning can be changed for the
+   * new instance. `config.separator` separates generations and
+   * `config.listDelimiter` separates individual topics. Within a topic, a
+   * backslash escapes either of them, so `"1\\.2"` is a single generation and
+   * subscribing to `"a\\, b"` is a single topic, `"a, b"`.
+   *
+   * @function create
+   * @memberof Arbiter
+   *
+   * @param {Object} [config] An object that can have the properties
+   *   `separator` (defaults to `'.'`) and `listDelimiter` (defaults to
+   *   `','`). These cannot be changed after the instance is created.
+   * @return {Arbiter} The new instance.
+   *
+   * @example
+   *
+   * var arbiter = Arbiter.create();
+   * Arbiter.subscribe('a', function a () {});
+   * arbiter.publish('a'); // Does not execute a
+   *
+   * var files = Arbiter.create({separator: '/', listDelimiter: ';'});
+   * files.subscribe('src/v1.2.3; docs', log);
+   * files.publish('src/v1.2.3/index.js'); // Logs src/v1.2.3/index.js
+   */
+  function create (config) {
+    config = merge({separator: '.', listDelimiter: ','}, config);
+    assertDelimiter(config.separator, 'separators');
+    assertDelimiter(config.listDelimiter, 'list delimiters');
+
+    /**
+     * Arbiter has a few options to affect the way that subscribers are
+     * notified and PublicationPromises are resolved.
+     *
+     * @typedef Options
+     * @memberof Arbiter
+     *
+     * @property {boolean} persist=false When true, subscribers are notified
+     *   of past messages.
+     * @property {boolean} sync=false When true, invokes the subscription
+     *   functions synchronously.
+     * @property {boolean} preventBubble=false When true, only the topics
+     *   that match the published topics exactly are invoked.
+     * @property {boolean} broadcast=false When true, the subscribers of all
+     *   descendents of the published topic are also invoked.
+     * @property {number} latch=0.9999999999999999 When this number is less
+     *   than one, it is the ratio of subscribers that must fulfilled before
+     *   resolving the `PublicationPromise`. If greater or equal to one,
+     *   then it is a count of the subscribers that must fulfill.
+     * @property {boolean} settlementLatch=false Changes the resolving logic
+     *   of `PublicationPromise` to be based off resolved rather than
+     *   fulfilled promises. This means that failed subscribers will count
+     *   toward the tally of latch.
+     * @property {number} semaphor=Infinity The maximum number of subscribers
+     *   to allowed to be pending at any given point in time.
+     * @property {number} timeout=Infinity The number of milliseconds a
+     *   subscriber may be pending before it is rejected with a
+     *   `TimeoutError`. Subscribers with their own timeout are unaffected.
+     * @property {RetryPolicy} retry=null How failed subscribers are retried.
+     *   Subscribers with their own retry policy are unaffected.
+     * @property {number} deadline=Infinity The number of milliseconds to wait
+     *   for the latch. When it passes, the `PublicationPromise` rejects with
+     *   a `PublicationError` of the rejections collected so far.
+     * @property {boolean} partial=false When true, a `PublicationPromise`
+     *   that reaches its deadline fulfills with the values collected so far
+     *   instead.
+     * @property {AbortSignal} signal=null Cancels the publication when it is
+     *   aborted, see `PublicationPromise.cancel`.
+     * @property {Function} onProgress=null Invoked every time a subscriber
+     *   settles with `{fulfilled, rejected, pending, lastValue, lastToken}`,
+     *   where `lastValue` is the value or reason of the subscriber and
+     *   `lastToken` is the token of its subscription.
+     * @property {string} results='values' With `'detailed'`, the
+     *   `PublicationPromise` settles with an entry for each subscriber rather
+     *   than its bare value. Each entry has the `token` and `topic` of the
+     *   subscription, its `status` (`'fulfilled'` or `'rejected'`), its
+     *   `value` or `reason` and its `durationMs`.
+     * @property {Function|string} reduce=null Fulfills the
+     *   `PublicationPromise` with a single value by folding the fulfilled
+     *   values in the order the subscribers were invoked. It is either a
+     *   function of the accumulator and a value, seeded with
+     *   `options.initial` (or the first value), or the name of a built in
+     *   reducer: `'first'` for the first value that is not `null` or
+     *   `undefined`, `'last'` for the last value, `'merge'` to merge objects
+     *   and `'all'` for an array in invocation order. `'first'` fulfills as
+     *   soon as its value is known. A reducer that throws rejects the
+     *   `PublicationPromise` with the error.
+     * @property {string} mode='parallel' With `'waterfall'`, subscribers are
+     *   invoked one at a time in priority order. Each receives the value of
+     *   the previous subscriber as its `data` and the `PublicationPromise`
+     *   fulfills with the value of the last one. If a subscriber fails, the
+     *   rest are skipped and it rejects with a `WaterfallError`.
+     * @property {boolean} updateAfterSettlement=false If true, updates the
+     *   `PublicationPromise` after it resolves.
+     * @property {boolean} rejectWithArray=false If true, a
+     *   `PublicationPromise` that cannot satisfy its latch rejects with the
+     *   array of rejections instead of a `PublicationError`.
+     *
+     * @example
+     *
+     * Arbiter.subscribe('a', log);
+     * Arbiter.subscribe('a.b', log);
+     * Arbiter.subscribe('a.b.c', log);
+     * var promise = Arbiter.publish('a.b.c', {latch: 1});
+     *
+     * // Remeber publish is async by default?
+     * // promise.pending === 3;
+     * // promise.fulfilled === 0;
+     * // promise.rejected === 0;
+     */
+    var
+      topics = createNode(''),
+      options = {
+        persist: false,
+        sync: false,
+        preventBubble: false,
+        broadcast: false,
+        latch: 0.9999999999999999,
+        settlementLatch: false,
+        semaphor: Infinity,
+        timeout: Infinity,
+        retry: null,
+        deadline: Infinity,
+        partial: false,
+        signal: null,
+        onProgress: null,
+        results: 'values',
+        reduce: null,
+        mode: 'parallel',
+        updateAfterSettlement: false,
+        rejectWithArray: false
+      },
+      arbiter = {
+        TimeoutError: TimeoutError,
+        CancelError: CancelError,
+        NoRespondersError: NoRespondersError,
+        WaterfallError: WaterfallError,
+        VetoError: VetoError,
+        PublicationError: PublicationError,
+        _topics: topics,
+        _tags: {},
+        options: options,
+        version: 'v1.0.0',
+        separator: config.separator,
+        listDelimiter: config.listDelimiter,
+        id: mkGenerator(),
+        create: create,
+        STOP: SYMBOL_STOP,
+        DECLINE: SYMBOL_DECLINE,
+        VETO: SYMBOL_VETO
+      };
+
+    arbiter.subscribe = partial1(subscribeDispatcher, arbiter);
+    arbiter.publish = partial1(publish, arbiter);
+    arbiter.respond = partial1(respond, arbiter);
+    arbiter.request = partial1(request, arbiter);
+    arbiter.unsubscribe = partial1(unsubscribe, arbiter);
+    arbiter.resubscribe = partial1(resubscribe, arbiter);
+    arbiter.reprioritize = partial1(reprioritize, arbiter);
+    arbiter.removePersisted = partial1(removePersistedDispatcher, arbiter);
+    arbiter.waitFor = partial1(waitFor, arbiter);
+    arbiter.stream = partial1(stream, arbiter);
+    arbiter.scope = partial1(scope, arbiter);
+    arbiter.compact = partial1(compact, arbiter);
+    arbiter.topics = partial1(listTopics, arbiter);
+    arbiter.subscriberCount = partial1(subscriberCount, arbiter);
+    arbiter.hasSubscribers = partial1(hasSubscribers, arbiter);
+    arbiter.inspect = partial1(inspect, arbiter);
+
+    return arbiter;
+  }
+
+  // *************************************************************************
+  //   Public Errors
+  // *************************************************************************
+
+  /**
+   * The error used when a subscriber or `waitFor` runs out of time. It is
+   * available on every instance as `Arbiter.TimeoutError`.
+   *
+   * @class TimeoutError
+   * @memberof Arbiter
+   * @property {Topic} topic The topic of the subscription or of `waitFor`.
+   * @property {number} id The id of the subscription that timed out.
+   * @property {number} timeout The number of milliseconds that elapsed.
+   *
+   * @example
+   *
+   * Arbiter.subscribe('a', function () {
+   *   return new Promise(function () {}); // Never settles
+   * }, {timeout: 100});
+   *
+   * Arbiter.publish('a').then(null, function (err) {
+   *   err.errors[0] instanceof Arbiter.TimeoutError; // => true
+   * });
+   */
+  function TimeoutError (message, properties) {
+    initError(this, message, properties);
+  }
+
+  /**
+   * The error used to reject a `PublicationPromise` that was canceled with
+   * `cancel()` or `options.signal`. It is available on every instance as
+   * `Arbiter.CancelError`.
+   *
+   * @class CancelError
+   * @memberof Arbiter
+   * @property {Topic} topic The topic of the publication.
+   * @property {Object} reason The value given to `cancel()` or the reason of
+   *   the aborted signal.
+   *
+   * @example
+   *
+   * var promise = Arbiter.publish('search', query);
+   * promise.then(null, function (err) {
+   *   err instanceof Arbiter.CancelError; // => true
+   * });
+   * promise.cancel();
+   */
+  function CancelError (message, properties) {
+    initError(this, message, properties);
+  }
+
+  /**
+   * The error used to reject `Arbiter.request` when no responder answers
+   * because there are none or all of them declined. It is available on every
+   * instance as `Arbiter.NoRespondersError`.
+   *
+   * @class NoRespondersError
+   * @memberof Arbiter
+   * @property {Topic} topic The topic of the request.
+   * @property {number} declined The number of responders that declined.
+   *
+   * @example
+   *
+   * Arbiter.request('nobody.home').then(null, function (err) {
+   *   err instanceof Arbiter.NoRespondersError; // => true
+   * });
+   */
+  function NoRespondersError (message, properties) {
+    initError(this, message, properties);
+  }
+
+  /**
+   * The error used to reject a publication with `options.mode` of
+   * `'waterfall'` when one of its subscribers fails. It is available on every
+   * instance as `Arbiter.WaterfallError`.
+   *
+   * @class WaterfallError
+   * @memberof Arbiter
+   * @property {Topic} topic The topic of the publication.
+   * @property {Token} token The token of the subscription that failed.
+   * @property {Object} reason The reason the subscription failed.
+   *
+   * @example
+   *
+   * Arbiter.publish('doc.save', doc, {mode: 'waterfall'})
+   *   .then(null, function (err) {
+   *     Arbiter.unsubscribe(err.token); // Remove the broken plugin
+   *   });
+   */
+  function WaterfallError (message, properties) {
+    initError(this, message, properties);
+  }
+
+  /**
+   * The error used to reject a publication that a subscriber vetoed with
+   * `Arbiter.VETO`. It is available on every instance as `Arbiter.VetoError`.
+   *
+   * @class VetoError
+   * @memberof Arbiter
+   * @property {Topic} topic The topic of the publication.
+   * @property {Token} token The token of the subscription that vetoed it.
+   *
+   * @example
+   *
+   * Arbiter.publish('before.close').then(close, function (err) {
+   *   if (!(err instanceof Arbiter.VetoError)) {
+   *     throw err;
+   *   }
+   * });
+   */
+  function VetoError (message, properties) {
+    initError(this, message, properties);
+  }
+
+  /**
+   * The error used to reject a `PublicationPromise` that cannot satisfy its
+   * latch, unless `options.rejectWithArray` is set. It is available on every
+   * instance as `Arbiter.PublicationError`.
+   *
+   * @class PublicationError
+   * @memberof Arbiter
+   * @property {Object[]} errors The reasons of the rejected subscribers.
+   * @property {Topic} topic The topic of the publication.
+   * @property {number} fulfilled The number of fulfilled subscribers.
+   * @property {number} rejected The number of rejected subscribers.
+   * @property {number} pending The number of pending subscribers.
+   * @property {string} reason Why the publication rejected. Either
+   *   `'latch-unreachable'`, `'no-subscribers'` or `'timeout'`.
+   *
+   * @example
+   *
+   * Arbiter.publish('a', null, {latch: 1}).then(null, function (err) {
+   *   err.reason; // => 'no-subscribers'
+   * });
+   */
+  function PublicationError (message, properties) {
+    initError(this, message, properties);
+  }
+
+  // *************************************************************************
+  //   Private Arbiter Data Structures Functions
+  // *************************************************************************
+
+  // Takes care of all the heavy lifting of publishing a message. This
+  // includes locating all topics, their subscribers, publishing the data and,
+  // if necessary, storing the message for late subscribers.
+  function hierarchicalTopicDispatcher (state, topic, data, options, resolver) {
+    var
+      separator = state.separator,
+      topics = state._topics,
+      matches = findMatchingNodes(
+        separator, topic, options.preventBubble, topics
+      ),
+      subscriptions, fulfilledPromise;
+
+    // Broadcasts also reach the descendents of the published topic
+    if (options.broadcast) {
+      matches = reduce(appendUnique, matches, reduce(
+        appendDescendents, [], findMatchingNodes(separator, topic, true, topics)
+      ));
+    }
+
+    subscriptions = mergeBy(
+      getFingerArrayPriority, map(getSubscriptions, matches)
+    );
+    fulfilledPromise = subscriptionDispatcher(
+      state, topic, data, options, subscriptions, resolver
+    );
+
+    if (options.persist) {
+      var
+        id = state.id(),
+        topicNode = addTopicLine(
+          separator, topic, ancestorTopicSearch(separator, topic, topics)
+        );
+
+      topicNode.persisted.push(
+        {topic: topic, data: data, order: id}
+      );
+      fulfilledPromise.token = {
+        topic: topic,
+        id: id
+      };
+
+      // Scoped publications have tokens relative to their scope
+      if (resolver.view) {
+        fulfilledPromise.token = relativeToken(
+          resolver.view, fulfilledPromise.token
+        );
+      }
+    }
+
+    return fulfilledPromise;
+  }
+
+  // Invokes the next set of subscriptions
+  function resumeSubscriptionDispatcher (options, resolver) {
+    var
+      promise = resolver.promise,
+      resume = resolver.resume,
+      topic = resume.topic,
+      data = resume.data,
+
+      subscription, notified, reason, detail, result;
+
+    while (resolver.i >= 0 && promise.pending < options.semaphor) {
+      subscription = resume.subscriptions[resolver.i];
+      resolver.i -= 1;
+      reason = SYMBOL_NOTHING;
+
+      try {
+        notified = isNotified(subscription, data, topic);
+      } catch (e) {
+        // A filter that throws counts as a failure of its subscriber
+        notified = true;
+        reason = e;
+      }
+
+      if (notified) {
+        consumeSubscription(resume.state, subscription);
+
+        // Passive subscriptions are not tracked by the PublicationPromise and
+        // neither are regular subscriptions when making a request
+        if (subscription.passive
+          || resolver.request && !subscription.responder
+        ) {
+          if (reason === SYMBOL_NOTHING) {
+            subscriptionInvoker(subscription, data, topic, null)
+              .then(null, noop);
+          }
+        } else {
+          promise.pending += 1;
+          detail = {
+            subscription: subscription,
+            started: now(),
+            order: resolver.invoked
+          };
+          resolver.invoked += 1;
+          result = reason === SYMBOL_NOTHING
+            ? attemptSubscription(
+              subscription, data, topic, resolver, options, 1
+            )
+            : Promise.reject(reason);
+
+          if (resolver.request) {
+            result = result.then(rejectDecline);
+          }
+
+          reportDetailed(resume, detail, result);
+        }
+      }
+    }
+  }
+
+  // Determines if a subscription should be notified of a publication. Only
+  // active subscriptions that pass their filter and have not been invoked
+  // their maximum number of times are notified.
+  function isNotified (subscription, data, topic) {
+    var filter = subscription.filter;
+
+    return !subscription.suspended
+      && subscription.remaining > 0
+      && (!filter || !!filter.call(subscription.context, data, topic));
+  }
+
+  // Determines if a subscription should be notified of a `persisted` message.
+  // A filter that throws skips the message since a replay has no publication
+  // to count the failure.
+  function isReplayed (subscription, persisted) {
+    try {
+      return isNotified(subscription, persisted.data, persisted.topic);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Counts an invocation of a subscription. Once it has been invoked its
+  // maximum number of times, it is removed before anything else can reach it.
+  function consumeSubscription (state, subscription) {
+    subscription.remaining -= 1;
+
+    if (subscription.remaining === 0) {
+      removeSubscriber(
+        {topics: state._topics, separator: state.separator, tags: state._tags},
+        subscription
+      );
+    }
+  }
+
+  // Skips all of the subscribers that have not been invoked yet. This is
+  // used when a subscriber stops the propagation of a publication.
+  function stopPropagation (resolver) {
+    resolver.promise.skipped += dropQueued(resolver);
+  }
+
+  // Cancels the publication of `resolver` when `signal` aborts. The listener
+  // is removed once the publication settles so that long-lived signals do not
+  // keep settled publications around.
+  function listenForAbort (resolver, signal) {
+    var fulfill = resolver.fulfill, reject = resolver.reject;
+
+    signal.addEventListener('abort', abortPublication);
+
+    resolver.fulfill = function detachedFulfill (value) {
+      detach();
+      fulfill(value);
+    };
+    resolver.reject = function detachedReject (reason) {
+      detach();
+      reject(reason);
+    };
+
+    function abortPublication () {
+      cancelPublication(resolver, signal.reason);
+    }
+
+    function detach () {
+      signal.removeEventListener('abort', abortPublication);
+    }
+  }
+
+  // Removes the subscribers that have not been invoked from the queue of
+  // `resolver`. This produces the number of them that are not suspended.
+  function dropQueued (resolver) {
+    var count = 0, subscriptions;
+
+    for (; resolver.i >= 0; resolver.i -= 1) {
+      subscriptions = resolver.resume.subscriptions;
+      if (!subscriptions[resolver.i].suspended) {
+        count += 1;
+      }
+    }
+
+    return count;
+  }
+
+  // Takes care of sending all the requests on their way
+  function removePersistedDispatcher (state, tokens) {
+    tokens = tokens && tokens.token || tokens || '';
+    tokens = typeof tokens === 'string'
+      ? splitTopics(state.listDelimiter, tokens) : tokens;
+    tokens = !tokens.length ? [tokens] : tokens;
+
+    var result = curryMap(state, removePersisted, tokens);
+
+    return result.length === 1 ? result[0] : result;
+  }
+
+  // Invokes all the subscriptions according to `options` and returns a promise
+  // that resolves according to `options`.
+  function subscriptionDispatcher (
+    state, topic, data, options, subscriptions, resolver
+  ) {
+    var
+      fulfill = resolveUse('fulfilledValues', 'fulfilled', options, resolver),
+      reject = resolveUse('rejectedValues', 'rejected', options, resolver);
+
+    resolver.i = subscriptions.length - 1;
+    resolver.resume = {
+      state: state,
+      topic: topic,
+      data: data,
+      subscriptions: subscriptions,
+      fulfill: fulfill,
+      reject: reject
+    };
+
+    // Publications canceled before being dispatched notify no one
+    if (resolver.canceled) {
+      resolver.promise.canceled += dropQueued(resolver);
+      return resolver.promise;
+    }
+
+    resumeSubscriptionDispatcher(options, resolver);
+    evaluateLatch(resolver, options);
+
+    if (!resolver.settled && options.deadline >= 0
+      && options.deadline < Infinity
+    ) {
+      resolver.deadline = setTimeout(function deadline () {
+        settleAtDeadline(resolver, options);
+      }, options.deadline);
+    }
+
+    return resolver.promise;
+  }
+
+  // Stops dispatching the remaining subscribers of a publication and aborts
+  // the running ones. The publication is rejected with a `CancelError` unless
+  // it has already settled.
+  function cancelPublication (resolver, reason) {
+    var promise = resolver.promise;
+
+    if (resolver.canceled) {
+      return false;
+    }
+
+    resolver.canceled = true;
+    resolver.controller.abort(reason);
+
+    if (resolver.settled) {
+      dropQueued(resolver);
+      return true;
+    }
+
+    promise.canceled = promise.pending + dropQueued(resolver);
+    promise.pending = 0;
+    resolver.settled = true;
+    clearTimeout(resolver.deadline);
+    resolver.reject(new CancelError(
+      'Publication to "' + resolver.topic + '" was canceled',
+      {topic: resolver.topic, reason: reason}
+    ));
+
+    return true;
+  }
+
+  // Settles a waterfall once every subscriber has been invoked and has
+  // settled. It fulfills with the value of the last subscriber.
+  function evaluateWaterfall (resolver) {
+    if (resolver.i >= 0 || resolver.promise.pending > 0) {
+      return resolver.settled;
+    }
+
+    resolver.settled = true;
+    clearTimeout(resolver.deadline);
+
+    return resolver.failure
+      ? resolver.reject(resolver.failure)
+      : resolver.fulfill(resolver.resume.data);
+  }
+
+  // Creates the error of a waterfall that was stopped by the failure of the
+  // subscription described by `detail`.
+  function createWaterfallError (resolver, detail, reason) {
+    var subscription = detail.subscription;
+
+    return new WaterfallError(
+      'Subscription ' + subscription.id + ' to "' + subscription.topic
+      + '" failed in the waterfall of "' + resolver.topic + '"',
+      {
+        topic: resolver.topic,
+        token: createToken(subscription),
+        reason: reason
+      }
+    );
+  }
+
+  // Rejects the publication of `resolver` with a `VetoError` because the
+  // subscription described by `detail` vetoed it. The remaining subscribers
+  // are skipped.
+  function vetoPublication (resolver, options, detail) {
+    var
+      promise = resolver.promise,
+      subscription = detail.subscription,
+      error = new VetoError(
+        'Subscription ' + subscription.id + ' to "' + subscription.topic
+        + '" vetoed the publication to "' + resolver.topic + '"',
+        {topic: resolver.topic, token: createToken(subscription)}
+      ),
+      progress;
+
+    promise.skipped += dropQueued(resolver);
+    promise.rejected += 1;
+    promise.pending -= 1;
+    resolver.rejectedValues.push(error);
+    progress = createProgress(promise, error, detail);
+
+    if (!resolver.settled) {
+      resolver.settled = true;
+      clearTimeout(resolver.deadline);
+      resolver.reject(error);
+    }
+
+    reportProgress(options, progress);
+  }
+
+  // Appends the reasons of failed responders, ignoring those that declined
+  function appendFailure (failures, reason) {
+    if (reason !== SYMBOL_DECLINE) {
+      failures.push(reason);
+    }
+
+    return failures;
+  }
+
+  // Responders that decline a request are treated as if they failed so the
+  // next responder is tried.
+  function rejectDecline (value) {
+    return value === SYMBOL_DECLINE ? Promise.reject(value) : value;
+  }
+
+  // Settles a publication that did not satisfy its latch in time with the
+  // values collected so far.
+  function settleAtDeadline (resolver, options) {
+    if (resolver.settled) {
+      return;
+    }
+
+    resolver.settled = true;
+    if (options.partial) {
+      fulfillPublication(resolver, options);
+    } else {
+      resolver.reject(rejectedResult(resolver, options, 'timeout'));
+    }
+  }
+
+  // Produces the reason a publication rejects with because of `reason`.
+  // Unless `options.rejectWithArray`, it is a `PublicationError` that shares
+  // the array of rejections with the resolver.
+  function rejectedResult (resolver, options, reason) {
+    var promise = resolver.promise;
+
+    if (options.rejectWithArray) {
+      return resolver.rejectedValues;
+    }
+
+    return new PublicationError(
+      'Publication to "' + resolver.topic + '" was rejected (' + reason + ')',
+      {
+        errors: resolver.rejectedValues,
+        topic: resolver.topic,
+        fulfilled: promise.fulfilled,
+        rejected: promise.rejected,
+        pending: promise.pending,
+        reason: reason
+      }
+    );
+  }
+
+  // Produces the value a publication fulfills with, folding the values with
+  // `options.reduce` when it is given.
+  function fulfilledResult (resolver, options) {
+    if (resolver.waterfall) {
+      return resolver.resume.data;
+    }
+
+    if (resolver.reducer) {
+      return foldResults(resolver, true).value;
+    }
+
+    return options.settlementLatch
+      ? resolver.fulfilledValues.concat(resolver.rejectedValues)
+      : resolver.fulfilledValues;
+  }
+
+  // Folds the fulfilled values of a publication in the order the subscribers
+  // were invoked. Unless `complete`, folding stops at the first subscriber
+  // that has not settled since the values after it may not be used yet.
+  function foldResults (resolver, complete) {
+    var
+      reducer = resolver.reducer,
+      outcomes = resolver.outcomes,
+      acc = reducer.initial,
+      done = false,
+      result, outcome, i, n;
+
+    for (i = 0, n = outcomes.length; i < n && !done; i++) {
+      outcome = outcomes[i];
+
+      if (!outcome && !complete) {
+        break;
+      } else if (outcome && outcome.fulfilled) {
+        acc = acc === SYMBOL_NOTHING
+          ? outcome.value
+          : reducer.step(acc, outcome.value);
+        done = reducer.isDone(acc);
+      }
+    }
+
+    // Folding nothing without an initial value produces `undefined`
+    if (acc !== SYMBOL_NOTHING) {
+      result = acc;
+    }
+
+    return {done: done, value: result};
+  }
+
+  // Fulfills a publication with its result. A reducer that throws rejects
+  // the publication instead.
+  function fulfillPublication (resolver, options) {
+    var result;
+
+    try {
+      result = fulfilledResult(resolver, options);
+    } catch (e) {
+      return resolver.reject(e);
+    }
+
+    return resolver.fulfill(result);
+  }
+
+  // Settles a publication as soon as the fold of its values cannot change
+  function shortCircuitFold (resolver) {
+    var fold;
+
+    try {
+      fold = foldResults(resolver, false);
+    } catch (e) {
+      resolver.settled = true;
+      clearTimeout(resolver.deadline);
+      resolver.reject(e);
+      return;
+    }
+
+    if (fold.done) {
+      resolver.settled = true;
+      clearTimeout(resolver.deadline);
+      resolver.fulfill(fold.value);
+    }
+  }
+
+  // Creates the reducer of a publication from `options.reduce`, which is
+  // either a function or the name of a built in reducer, and
+  // `options.initial`.
+  function createReducer (options) {
+    var reducer = options.reduce;
+
+    if (typeof reducer === 'function') {
+      return {
+        step: reducer,
+        initial: options.hasOwnProperty('initial')
+          ? options.initial : SYMBOL_NOTHING,
+        isDone: alwaysFalse
+      };
+    }
+
+    switch (reducer) {
+    case 'first':
+      return {step: firstStep, initial: null, isDone: isPresent};
+    case 'last':
+      return {step: lastStep, initial: null, isDone: alwaysFalse};
+    case 'merge':
+      return {step: merge, initial: {}, isDone: alwaysFalse};
+    case 'all':
+      return {step: allStep, initial: [], isDone: alwaysFalse};
+    default:
+      throw new Error(
+        'Arbiter.publish does not have a "' + reducer + '" reducer'
+      );
+    }
+  }
+
+  // Keeps the first value that is neither `null` nor `undefined`
+  function firstStep (acc, value) {
+    return isPresent(acc) ? acc : value;
+  }
+
+  // Keeps the latest value
+  function lastStep (acc, value) {
+    return value;
+  }
+
+  // Collects every value
+  function allStep (acc, value) {
+    return acc.concat([value]);
+  }
+
+  // Takes care all the bookkeeping work surrounding a subscriber resolving
+  // resolving.
+  function resolveUse (appendList, increment, options, resolver) {
+    return function resolveUseClosure (value, detail) {
+      // TODO This should state.options('update..
+      // TODO look at all of options.xxxx
+      if (resolver.canceled
+        || resolver.settled && !options.updateAfterSettlement
+      ) {
+        return;
+      }
+
+      var promise = resolver.promise, result, progress;
+
+      if (value === SYMBOL_VETO) {
+        vetoPublication(resolver, options, detail);
+        return;
+      }
+
+      // Subscribers that stop propagation do not produce a value
+      if (value === SYMBOL_STOP) {
+        stopPropagation(resolver);
+      } else {
+        result = value;
+      }
+
+      // The value of a waterfall subscriber is the data of the next one and
+      // a failure stops the waterfall
+      if (resolver.waterfall && increment === 'rejected') {
+        resolver.failure = createWaterfallError(resolver, detail, value);
+        promise.skipped += dropQueued(resolver);
+      } else if (resolver.waterfall && value !== SYMBOL_STOP) {
+        resolver.resume.data = value;
+      }
+
+      if (detail && options.results === 'detailed') {
+        result = createResultEntry(detail, increment === 'fulfilled', result);
+      }
+
+      resolver[appendList].push(result);
+      promise[increment] += 1;
+      promise.pending -= 1;
+      progress = createProgress(promise, value, detail);
+
+      if (resolver.reducer) {
+        resolver.outcomes[detail.order] = {
+          fulfilled: increment === 'fulfilled',
+          value: result
+        };
+
+        if (!resolver.settled) {
+          shortCircuitFold(resolver);
+        }
+      }
+
+      // A request is answered by its first response
+      if (resolver.request && increment === 'fulfilled') {
+        dropQueued(resolver);
+      }
 
       if (resolver.i >= 0) {
-        var resume = resolver.resume;
+        resumeSubscriptionDispatcher(options, resolver);
+      } else {
+        evaluateLatch(resolver, options);
+      }
+
+      reportProgress(options, progress);
+    };
+  }
 
-        resumeSubscriptionDispatcher(
-          resume.topic, resume.data, options, resume.subscriptions,
-          resolver, resume.fulfill, resume.reject
-        );
-        return;
-      }
+  // Describes the state of a publication after the subscriber described by
+  // `detail` settled with `value`.
+  function createProgress (promise, value, detail) {
+    return {
+      fulfilled: promise.fulfilled,
+      rejected: promise.rejected,
+      pending: promise.pending,
+      lastValue: value,
+      lastToken: createToken(detail.subscription)
+    };
+  }
+
+  // Passes `progress` to `options.onProgress`. It is invoked once the
+  // bookkeeping is done, and a listener that throws cannot affect the
+  // publication.
+  function reportProgress (options, progress) {
+    if (typeof options.onProgress !== 'function') {
+      return;
+    }
+
+    try {
+      options.onProgress(progress);
+    } catch (e) {
+      // The publication does not depend on its listeners
+    }
+  }
+
+  // Passes the outcome of a subscriber along with `detail`, which describes
+  // the invocation, to the bookkeeping of the publication.
+  function reportDetailed (resume, detail, result) {
+    result.then(function detailedFulfill (value) {
+      resume.fulfill(value, detail);
+    }, function detailedReject (reason) {
+      resume.reject(reason, detail);
+    });
+  }
 
-      evaluateLatch(resolver, options);
+  // Creates the token of a subscription
+  function createToken (subscription) {
+    return {
+      topic: subscription.topic,
+      id: subscription.id,
+      priority: subscription.priority
     };
   }
 
+  // Creates the entry of a subscriber for `options.results === 'detailed'`
+  function createResultEntry (detail, fulfilled, value) {
+    var
+      subscription = detail.subscription,
+      entry = {
+        token: createToken(subscription),
+        topic: subscription.topic,
+        status: fulfilled ? 'fulfilled' : 'rejected',
+        durationMs: now() - detail.started
+      };
+
+    entry[fulfilled ? 'value' : 'reason'] = value;
+    return entry;
+  }
+
   // Resolves the latch according to `options`. Computes the hypothetical max
   // and resolves if is not met.
   function evaluateLatch (resolver, options) {
@@ -566,13 +2115,20 @@
       return resolver.settled;
     }
 
+    if (resolver.waterfall) {
+      return evaluateWaterfall(resolver);
+    }
+
     if (!settlementLatch && latch >= 1 && maxFulfilled < latch
       || !settlementLatch && latch < 1 && maxFulfilled / total < latch
       || settlementLatch && latch >= 1 && total < latch
       || settlementLatch && latch < 1 && total === 0
     ) {
       resolver.settled = true;
-      return resolver.reject(resolver.rejectedValues);
+      clearTimeout(resolver.deadline);
+      return resolver.reject(rejectedResult(
+        resolver, options, total ? 'latch-unreachable' : 'no-subscribers'
+      ));
     }
 
     if (!settlementLatch && latch >= 1 && fulfilled >= latch
@@ -581,164 +2137,818 @@
       || settlementLatch && latch < 1 && settled / total >= latch
     ) {
       resolver.settled = true;
-      return settlementLatch
-        ? resolver.fulfill(
-          resolver.fulfilledValues.concat(resolver.rejectedValues)
-        ) : resolver.fulfill(resolver.fulfilledValues);
+      clearTimeout(resolver.deadline);
+      return fulfillPublication(resolver, options);
+    }
+
+    return resolver.settled;
+  }
+
+  // Invokes a subscription with the required parameters and acts as an adapter
+  // for the different asynchronous mechanisms behavior. i.e. node-style
+  // callbacks and promises. Synchronously returning `STOP`, or returning or
+  // throwing `VETO`, prevents any subscribers after this one from being
+  // invoked.
+  function subscriptionInvoker (subscription, data, topic, resolver) {
+    var signal = resolver ? resolver.signal : null, result;
+
+    if (subscription.fn.length === 3) {
+      return new Promise(function promiseResolver (fulfill, reject) {
+        var returned = subscription.fn.call(
+          subscription.context, data, topic, function callback (err, succ) {
+            return err ? reject(err) : fulfill(succ);
+          }, signal
+        );
+
+        // Node-style subscribers may still return a promise
+        if (returned && typeof returned.then === 'function') {
+          returned.then(fulfill, reject);
+        }
+      });
+    }
+
+    try {
+      result = subscription.fn.call(
+        subscription.context, data, topic, null, signal
+      );
+    } catch (e) {
+      if (e === SYMBOL_VETO && resolver) {
+        stopPropagation(resolver);
+      }
+
+      return Promise.reject(e);
+    }
+
+    if (result && typeof result.then === 'function') {
+      return result;
+    }
+
+    if ((result === SYMBOL_STOP || result === SYMBOL_VETO) && resolver) {
+      stopPropagation(resolver);
+    }
+
+    return Promise.resolve(result);
+  }
+
+  // Invokes a tracked subscription for its `attempt`th time. When it fails, it
+  // is attempted again according to the retry policy of the subscription, or
+  // else the retry policy of the publication.
+  function attemptSubscription (
+    subscription, data, topic, resolver, options, attempt
+  ) {
+    var
+      retry = subscription.retry || options.retry,
+      result = limitSubscription(
+        subscriptionInvoker(subscription, data, topic, resolver),
+        subscription, options
+      );
+
+    if (!retry) {
+      return result;
+    }
+
+    return result.then(null, function retryRejected (err) {
+      if (resolver.canceled || err === SYMBOL_VETO
+        || attempt >= (+retry.attempts || 1)
+        || retry.retryIf && !retry.retryIf(err, attempt)
+      ) {
+        return Promise.reject(err);
+      }
+
+      return delay(retryDelay(retry, attempt)).then(function reattempt () {
+        if (!resolver.settled || options.updateAfterSettlement) {
+          resolver.promise.retries += 1;
+        }
+
+        return attemptSubscription(
+          subscription, data, topic, resolver, options, attempt + 1
+        );
+      });
+    });
+  }
+
+  // Computes the milliseconds to wait after the `attempt`th attempt
+  function retryDelay (retry, attempt) {
+    var ms = +retry.delay || 0;
+
+    return retry.backoff === 'exponential'
+      ? ms * Math.pow(2, attempt - 1)
+      : ms;
+  }
+
+  // Rejects with a `TimeoutError` unless `promise` settles within the timeout
+  // of `subscription`, or else the timeout of the publication.
+  function limitSubscription (promise, subscription, options) {
+    var timeout = typeof subscription.timeout === 'number'
+      ? subscription.timeout : options.timeout;
+
+    if (!(timeout >= 0 && timeout < Infinity)) {
+      return promise;
+    }
+
+    return new Promise(function limitResolver (fulfill, reject) {
+      var timer = setTimeout(function subscriptionTimeout () {
+        reject(new TimeoutError(
+          'Subscription ' + subscription.id + ' to "' + subscription.topic
+          + '" timed out after ' + timeout + 'ms',
+          {topic: subscription.topic, id: subscription.id, timeout: timeout}
+        ));
+      }, timeout);
+
+      promise.then(function limitFulfilled (value) {
+        clearTimeout(timer);
+        fulfill(value);
+      }, function limitRejected (err) {
+        clearTimeout(timer);
+        reject(err);
+      });
+    });
+  }
+
+  // This coverts `topic`, which can represent multiple subscriptions and
+  // serializes them into individual topics for use with the `subscription`
+  function subscribeDispatcher (state, topic, subscriptions, options, context) {
+    topic = typeof topic === 'string'
+      ? splitTopics(state.listDelimiter, topic) : topic;
+    topic = topic && topic.length ? topic : [topic];
+
+    var result = curryMap(
+      [state, null, subscriptions, options, context],
+      subscribeTopicApplier,
+      topic
+    );
+
+    result = result.length === 1 ? result[0] : result;
+    return options && options.handle ? createHandle(state, result) : result;
+  }
+
+  // Subscribes to topics relative to `view.prefix`
+  function scopedSubscribe (view, topic, subscription, options, context) {
+    options = options || {};
+
+    var filter = options.filter, tokens;
+
+    if (typeof filter === 'function') {
+      options = merge(options, {
+        filter: function scopedFilter (data, publishedTopic) {
+          return filter.call(
+            context || null, data, relativeTopic(view, publishedTopic)
+          );
+        }
+      });
+    }
+
+    tokens = subscribeDispatcher(
+      view.arbiter,
+      absoluteTopics(view, topic),
+      scopeSubscription(view, subscription, context || null),
+      merge(options, {handle: false}),
+      context
+    );
+
+    if (options.handle) {
+      return createHandle(view.arbiter, tokens, view);
+    }
+
+    return isArray(tokens)
+      ? curryMap(view, relativeToken, tokens)
+      : relativeToken(view, tokens);
+  }
+
+  // Publishes to a topic relative to `view.prefix`
+  function scopedPublish (view, topic, data, options) {
+    assert(typeof topic, 'string', 'Arbiter.publish', 'strings', 'topics');
+
+    var state = view.arbiter, resolver = createResolver();
+
+    resolver.view = view;
+    return dispatchPublication(
+      state, absoluteTopic(view, topic), data, merge(state.options, options),
+      resolver
+    );
+  }
+
+  // Unsubscribes tokens and topics relative to `view.prefix`
+  function scopedUnsubscribe (view, tokens, suspend) {
+    return unsubscribe(view.arbiter, absoluteTopics(view, tokens), suspend);
+  }
+
+  // Resubscribes tokens and topics relative to `view.prefix`
+  function scopedResubscribe (view, tokens) {
+    return resubscribe(view.arbiter, absoluteTopics(view, tokens));
+  }
+
+  // Removes persisted messages relative to `view.prefix`
+  function scopedRemovePersisted (view, tokens) {
+    return removePersistedDispatcher(
+      view.arbiter, absoluteTopics(view, tokens && tokens.token || tokens || '')
+    );
+  }
+
+  // Creates a scope nested in `view`
+  function scopedScope (view, prefix) {
+    assert(typeof prefix, 'string', 'Arbiter.scope', 'strings', 'prefixes');
+    return scope(view.arbiter, absoluteTopic(view, prefix));
+  }
+
+  // Wraps `fn` so that it receives topics relative to `view.prefix`. The
+  // arity of `fn` is kept since it determines if `fn` is node-style.
+  function scopeSubscription (view, fn, context) {
+    if (typeof fn !== 'function') {
+      return fn;
+    }
+
+    return fn.length === 3
+      ? function scopedNodeSubscription (_data, _topic, _callback) {
+        return fn.apply(context, relativeArguments(view, arguments));
+      }
+      : function scopedSubscription (_data, _topic) {
+        return fn.apply(context, relativeArguments(view, arguments));
+      };
+  }
+
+  // Copies the arguments of a subscription making the topic relative
+  function relativeArguments (view, args) {
+    var result = map(identity, args);
+
+    result[1] = relativeTopic(view, result[1]);
+    return result;
+  }
+
+  // Converts the topics or tokens in `tokens`, which may be a delimited list,
+  // from being relative to `view.prefix` to being absolute.
+  function absoluteTopics (view, tokens) {
+    tokens = typeof tokens === 'string'
+      ? splitTopics(view.arbiter.listDelimiter, tokens) : tokens;
+
+    return isArray(tokens)
+      ? curryMap(view, absoluteToken, tokens)
+      : absoluteToken(view, tokens);
+  }
+
+  // Converts a topic or token relative to `view.prefix` into an absolute one.
+  // Tag selectors are not associated with topics, so they are limited to the
+  // subscriptions within the scope instead.
+  function absoluteToken (view, token) {
+    if (typeof token === 'string') {
+      return absoluteTopic(view, token);
+    }
+
+    if (!token) {
+      return token;
+    }
+
+    if (token.tag) {
+      return merge(token, {prefix: absoluteTopic(view, token.prefix || '')});
+    }
+
+    return merge(token, {topic: absoluteTopic(view, token.topic)});
+  }
+
+  // Converts an absolute token into one relative to `view.prefix`
+  function relativeToken (view, token) {
+    return merge(token, {topic: relativeTopic(view, token.topic)});
+  }
+
+  // Prepends `view.prefix` to a relative `topic`
+  function absoluteTopic (view, topic) {
+    var prefix = view.prefix;
+
+    if (prefix === '') {
+      return topic;
+    }
+
+    return topic === '' ? prefix : prefix + view.arbiter.separator + topic;
+  }
+
+  // Removes `view.prefix` from an absolute `topic`. Topics outside of the
+  // scope, such as those broadcast from an ancestor, are left as they are.
+  function relativeTopic (view, topic) {
+    var prefix = view.prefix, separator = view.arbiter.separator;
+
+    if (topic === prefix) {
+      return '';
+    }
+
+    if (prefix === '' || typeof topic !== 'string'
+      || !startsWith(topic, prefix + separator)
+    ) {
+      return topic;
+    }
+
+    return topic.slice(prefix.length + separator.length);
+  }
+
+  // This is (in combination with curryMap) is a hack to prevent us from
+  // creating a closures on every subscription.
+  function subscribeTopicApplier (args, topic) {
+    args[1] = topic;
+    return subscribe.apply(null, args);
+  }
+
+  // For all descendants of `topic` remove all elements of `node[property`.
+  function applyTopicDescendents (f, property, separator, topic, topics) {
+    var node = ancestorTopicSearch(separator, topic, topics);
+    if (node.topic === topic) {
+      return curryMap(property, f, descendents(node));
+    }
+
+    return null;
+  }
+
+  // Finds the subscription associated with a token and unsuspendes it.
+  // Returns false if it was removed and true it was unsuspended.
+  function unsuspendSubscriber (state, token) {
+    var separator = state.separator, topics = state._topics;
+
+    if (typeof token === 'string') {
+      return !!applyTopicDescendents(
+        unsuspendTopic, 'subscriptions', separator, token, topics
+      );
+    }
+
+    if (token.tag) {
+      return applyTags(
+        unsuspendSubscriber, state,
+        {topics: topics, separator: separator, tags: state._tags}, token
+      );
+    }
+
+    var
+      node = ancestorTopicSearch(separator, token.topic, topics),
+      i = findSubscription(token, node);
+
+    if (i === -1) {
+      return false;
+    }
+
+    return !!unsuspendNode(node.subscriptions[i]);
+  }
+
+  // Moves the subscription associated with `token` to `args.priority`. This
+  // produces the new token of the subscription or false if it cannot be found.
+  function reprioritizeSubscriber (args, token) {
+    var
+      node = ancestorTopicSearch(args.separator, token.topic, args.topics),
+      i = findSubscription(token, node),
+      subscription;
+
+    if (i === -1) {
+      return false;
+    }
+
+    subscription = node.subscriptions.splice(i, 1)[0];
+    subscription.priority = +args.priority || 0;
+    insert(getPriority, subscription, node.subscriptions);
+
+    return {
+      topic: token.topic,
+      id: token.id,
+      priority: subscription.priority
+    };
+  }
+
+  // Determines if the subscription associated with `token` exists and is not
+  // suspended.
+  function isActiveSubscriber (state, token) {
+    var
+      node = ancestorTopicSearch(state.separator, token.topic, state._topics),
+      i = findSubscription(token, node);
+
+    return i !== -1 && !node.subscriptions[i].suspended;
+  }
+
+  // Finds the index of the subscription associated with `token` in the
+  // subscriptions of `node` or -1 if it is not there.
+  function findSubscription (token, node) {
+    if (node.topic !== token.topic) {
+      return -1;
+    }
+
+    var i = searchAround(
+      getId, getPriority,
+      token.id, token.priority,
+      binaryIndexBy(getPriority, token.priority, node.subscriptions),
+      node.subscriptions
+    );
+
+    // The token may have been created before a call to `reprioritize`
+    return i === -1 ? indexBy(getId, token.id, node.subscriptions) : i;
+  }
+
+  // Finds the subscription associated with a token and removes or suspends is.
+  // If the subscription associated with a token cannot be found then this
+  // returns false. This usually means that the token was already removed.
+  function removeSubscriber (args, token) {
+    var
+      topics = args.topics,
+      separator = args.separator,
+      suspendSubs = args.suspend,
+
+      found;
+
+    if (typeof token === 'string') {
+      if (!suspendSubs) {
+        applyTopicDescendents(untagNode, args.tags, separator, token, topics);
+      }
+
+      found = !!applyTopicDescendents(
+        suspendSubs ? suspendTopic : empty, 'subscriptions',
+        separator, token, topics
+      );
+
+      if (found && !suspendSubs) {
+        pruneTopic(separator, token, topics);
+      }
+
+      return found;
+    }
+
+    if (token.tag) {
+      return applyTags(removeSubscriber, args, args, token);
+    }
+
+    var
+      node = ancestorTopicSearch(separator, token.topic, topics),
+      i = findSubscription(token, node);
+
+    if (i === -1) {
+      return false;
+    }
+
+    if (suspendSubs) {
+      return !!suspendNode(node.subscriptions[i]);
+    }
+
+    untagSubscription(args.tags, node.subscriptions.splice(i, 1)[0]);
+    pruneTopicLine(separator, token.topic, topics);
+
+    return true;
+  }
+
+  // Applies `f` to every subscription with one of the tags of the selector
+  // `token`. Scoped selectors have a `prefix` that limits them to the
+  // subscriptions within it. This returns false if there are no such
+  // subscriptions.
+  function applyTags (f, fArgs, args, token) {
+    var
+      tags = typeof token.tag === 'string' ? [token.tag] : token.tag,
+      lists = curryMap(args, taggedSubscriptions, tags),
+
+      // A subscription may have several of the tags. Removing subscriptions
+      // changes the index so this is always a copy.
+      subscriptions = reduce(appendUnique, [], reduce(concat, [], lists));
+
+    if (typeof token.prefix === 'string') {
+      subscriptions = reduce(function appendWithin (within, subscription) {
+        if (isWithinTopic(args.separator, token.prefix, subscription.topic)) {
+          within.push(subscription);
+        }
+
+        return within;
+      }, [], subscriptions);
     }
 
-    return resolver.settled;
+    curryMap(fArgs, f, subscriptions);
+
+    return subscriptions.length > 0;
   }
 
-  // Invokes a subscription with the required parameters and acts as an adapter
-  // for the different asynchronous mechanisms behavior. i.e. node-style
-  // callbacks and promises.
-  function subscriptionInvoker (subscription, data, topic) {
-    var result;
+  // Produces the subscriptions in `args.tags` with `tag` that still exist.
+  // The rest are removed from the index so it does not grow indefinitely.
+  function taggedSubscriptions (args, tag) {
+    var tags = args.tags, key = TAG_PREFIX + tag, subscriptions, node, i;
 
-    if (subscription.fn.length === 3) {
-      return new Promise(function promiseResolver (fulfill, reject) {
-        subscription.fn.call(
-          subscription.context, data, topic, function callback (err, succ) {
-            return err ? reject(err) : fulfill(succ);
-          }
-        );
-      });
+    if (!hasOwn(tags, key)) {
+      return [];
     }
 
-    try {
-      result = subscription.fn.call(subscription.context, data, topic);
-    } catch (e) {
-      return Promise.reject(e);
+    subscriptions = tags[key];
+    for (i = subscriptions.length - 1; i >= 0; i--) {
+      node = ancestorTopicSearch(
+        args.separator, subscriptions[i].topic, args.topics
+      );
+
+      if (findSubscription(subscriptions[i], node) === -1) {
+        subscriptions.splice(i, 1);
+      }
     }
 
-    if (result && typeof result.then === 'function') {
-      return result;
+    if (!subscriptions.length) {
+      delete tags[key];
     }
 
-    return Promise.resolve(result);
+    return subscriptions;
   }
 
-  // This coverts `topic`, which can represent multiple subscriptions and
-  // serializes them into individual topics for use with the `subscription`
-  function subscribeDispatcher (state, topic, subscriptions, options, context) {
-    topic = typeof topic === 'string' ? topic.split(/,\s*/) : topic;
-    topic = topic && topic.length ? topic : [topic];
+  // Adds the subscription `args[1]` to the tag index `args[0]`
+  function tagSubscription (args, tag) {
+    var tags = args[0], key = TAG_PREFIX + tag;
 
-    var result = curryMap(
-      [state, null, subscriptions, options, context],
-      subscribeTopicApplier,
-      topic
-    );
+    if (!hasOwn(tags, key)) {
+      tags[key] = [];
+    }
 
-    return result.length === 1 ? result[0] : result;
+    tags[key].push(args[1]);
+    return tag;
   }
 
-  // This is (in combination with curryMap) is a hack to prevent us from
-  // creating a closures on every subscription.
-  function subscribeTopicApplier (args, topic) {
-    args[1] = topic;
-    return subscribe.apply(null, args);
+  // Removes `subscription` from the tag index `tags`
+  function untagSubscription (tags, subscription) {
+    var key, list, i, j;
+
+    for (i = 0; i < subscription.tags.length; i++) {
+      key = TAG_PREFIX + subscription.tags[i];
+      list = hasOwn(tags, key) ? tags[key] : [];
+      j = indexBy(getId, subscription.id, list);
+
+      if (j !== -1) {
+        list.splice(j, 1);
+      }
+
+      if (j !== -1 && !list.length) {
+        delete tags[key];
+      }
+    }
+
+    return subscription;
   }
 
-  // For all descendants of `topic` remove all elements of `node[property`.
-  function applyTopicDescendents (f, property, topic, topics) {
-    var node = ancestorTopicSearch(topic, topics);
+  // Removes the subscriptions of `node` from the tag index `tags`
+  function untagNode (tags, node) {
+    return curryMap(tags, untagSubscription, node.subscriptions);
+  }
+
+  // Removes the descendents of `topic` that are no longer needed along with
+  // any of its ancestors that are no longer needed.
+  function pruneTopic (separator, topic, topics) {
+    var node = ancestorTopicSearch(separator, topic, topics);
+
     if (node.topic === topic) {
-      return curryMap(property, f, descendents(node));
+      compactNode(node);
     }
 
-    return null;
+    pruneTopicLine(separator, topic, topics);
   }
 
-  // Finds the subscription associated with a token and unsuspendes it.
-  // Returns false if it was removed and true it was unsuspended.
-  function unsuspendSubscriber (topic, token) {
-    if (typeof token === 'string') {
-      return !!applyTopicDescendents(
-        unsuspendTopic, 'subscriptions', token, topic
-      );
-    }
+  // Walks from `node` down to `topic` removing the nodes that are no longer
+  // needed on the way back up. `node` itself is never removed.
+  function pruneTopicLine (separator, topic, node) {
+    var child = node.topic === topic
+      ? null : findTopicChild(separator, topic, node);
 
-    var node = ancestorTopicSearch(token.topic, topic);
-    if (node.topic !== token.topic) {
-      return false;
+    if (child) {
+      pruneTopicLine(separator, topic, child);
+
+      if (isEmptyNode(child)) {
+        removeChild(getTopic, child, node);
+      }
     }
+  }
 
-    var i = searchAround(
-      getId, getPriority,
-      token.id, token.priority,
-      binaryIndexBy(getPriority, token.priority, node.subscriptions),
-      node.subscriptions
-    );
+  // Removes all the descendents of `node` that are no longer needed and
+  // produces the number of nodes that were removed.
+  function compactNode (node) {
+    var
+      children = node.children,
+      removed = 0,
 
-    if (i === -1) {
-      return false;
+      i;
+
+    for (i = children.length - 1; i >= 0; i--) {
+      removed += compactNode(children[i]);
+
+      if (isEmptyNode(children[i])) {
+        children.splice(i, 1);
+        removed += 1;
+      }
     }
 
-    return !!unsuspendNode(node.subscriptions[i]);
+    return removed;
   }
 
-  // Finds the subscription associated with a token and removes or suspends is.
-  // If the subscription associated with a token cannot be found then this
-  // returns false. This usually means that the token was already removed.
-  function removeSubscriber (args, token) {
+  // A node is no longer needed when it has no subscriptions, persisted
+  // messages or children.
+  function isEmptyNode (node) {
+    return !node.subscriptions.length
+      && !node.persisted.length
+      && !node.children.length;
+  }
+
+  // Finds every node whose topic matches `topic`. Unless `exact` is true,
+  // this includes the nodes matching any of its ancestors. The nodes are
+  // produced root first, so ancestors precede their descendents.
+  function findMatchingNodes (separator, topic, exact, tree) {
+    var search = {
+      separator: separator,
+      generations: getGenerations(separator, topic),
+      exact: exact,
+      matches: []
+    };
+
+    appendMatchingNodes(search, 0, false, tree);
+    return search.matches;
+  }
+
+  // Walks down the tree from `node` appending the nodes that match the
+  // generations of the search, where `i` generations have already been
+  // consumed. A `'*'` generation consumes exactly one generation while `'#'`
+  // consumes any number of them, including none. `isMany` is true when `node`
+  // represents a `'#'` generation.
+  function appendMatchingNodes (search, i, isMany, node) {
     var
-      topics = args.topics,
-      suspendSubs = args.suspend;
+      generations = search.generations,
+      n = generations.length,
+      last = isMany ? n - 1 : i,
 
-    if (typeof token === 'string') {
-      return !!applyTopicDescendents(
-        suspendSubs ? suspendTopic : empty, 'subscriptions', token, topics
-      );
+      j;
+
+    if ((!search.exact || i === n || isMany)
+      && !contains(node, search.matches)
+    ) {
+      search.matches.push(node);
     }
 
-    var node = ancestorTopicSearch(token.topic, topics);
-    if (node.topic !== token.topic) {
-      return false;
+    appendMatchingChild(search, i, node, '#');
+    for (j = i; j <= last && j < n; j++) {
+      appendMatchingChild(search, j + 1, node, generations[j]);
+      appendMatchingChild(search, j + 1, node, '*');
     }
+  }
 
-    var i = searchAround(
-      getId, getPriority,
-      token.id, token.priority,
-      binaryIndexBy(getPriority, token.priority, node.subscriptions),
-      node.subscriptions
+  // Continues `appendMatchingNodes` with the child of `node` representing
+  // `generation`, if there is one.
+  function appendMatchingChild (search, i, node, generation) {
+    var child = findChild(
+      getTopic, joinTopic(search.separator, node.topic, generation), node
     );
 
-    if (i === -1) {
+    if (child) {
+      appendMatchingNodes(search, i, generation === '#', child);
+    }
+  }
+
+  // Determines if a topic `pattern` matches `topic` or one of its ancestors.
+  function isTopicMatch (separator, pattern, topic) {
+    return matchesGenerations(
+      getGenerations(separator, pattern), 0,
+      getGenerations(separator, topic), 0
+    );
+  }
+
+  // Determines if the generations of `pattern` starting at `i` match the
+  // generations of `topic` starting at `j`. Since ancestors are notified,
+  // `pattern` only needs to match the beginning of `topic`.
+  function matchesGenerations (pattern, i, topic, j) {
+    if (i === pattern.length) {
+      return true;
+    }
+
+    if (pattern[i] === '#') {
+      for (; j <= topic.length; j++) {
+        if (matchesGenerations(pattern, i + 1, topic, j)) {
+          return true;
+        }
+      }
+
       return false;
     }
 
-    if (suspendSubs) {
-      return !!suspendNode(node.subscriptions[i]);
+    return j < topic.length
+      && (pattern[i] === '*' || pattern[i] === topic[j])
+      && matchesGenerations(pattern, i + 1, topic, j + 1);
+  }
+
+  // Produces the youngest ancestor of a topic that contains no wildcards. For
+  // topics without wildcards this is the topic itself.
+  function literalTopicPrefix (separator, topic) {
+    var generations = getGenerations(separator, topic), i = 0;
+
+    while (i < generations.length && !isWildcard(generations[i])) {
+      i++;
+    }
+
+    return generations.slice(0, i).join(separator);
+  }
+
+  // Determines if a generation matches other generations by pattern
+  function isWildcard (generation) {
+    return generation === '*' || generation === '#';
+  }
+
+  // Splits a topic into its generations. The root topic has none. A
+  // backslash escapes the separator, so it becomes part of the generation.
+  // Generations keep their escape characters, so joining them with the
+  // separator produces the original topic.
+  function getGenerations (separator, topic) {
+    return topic === '' ? [] : splitEscaped(separator, false, topic);
+  }
+
+  // Produces the topic of a child generation of `topic`
+  function joinTopic (separator, topic, generation) {
+    return topic === '' ? generation : topic + separator + generation;
+  }
+
+  // Splits a list of topics into individual topics. Whitespace following the
+  // delimiter is ignored. An escaped delimiter becomes a literal delimiter in
+  // the topic.
+  function splitTopics (delimiter, topics) {
+    return splitEscaped(delimiter, true, topics);
+  }
+
+  // Splits `str` on every occurrence of `delimiter` that is not preceded by a
+  // backslash. When `isList` is true, escaped delimiters are unescaped and
+  // whitespace after each delimiter is skipped.
+  function splitEscaped (delimiter, isList, str) {
+    var
+      result = [],
+      current = '',
+      delimiterLength = delimiter.length,
+      i = 0,
+      n = str.length,
+
+      c;
+
+    while (i < n) {
+      c = str.charAt(i);
+
+      if (c === '\\' && startsWith(str, delimiter, i + 1)) {
+        current += isList ? delimiter : c + delimiter;
+        i += 1 + delimiterLength;
+      } else if (c === '\\' && i + 1 < n) {
+        current += c + str.charAt(i + 1);
+        i += 2;
+      } else if (startsWith(str, delimiter, i)) {
+        result.push(current);
+        current = '';
+        i += delimiterLength;
+
+        while (isList && i < n && /\s/.test(str.charAt(i))) {
+          i += 1;
+        }
+      } else {
+        current += c;
+        i += 1;
+      }
     }
 
-    return !!node.subscriptions.splice(i, 1);
+    result.push(current);
+    return result;
+  }
+
+  // Finds the node of `topic` or else its closest ancestor in the tree
+  function ancestorTopicSearch (separator, topic, node) {
+    var child = node.topic === topic
+      ? null : findTopicChild(separator, topic, node);
+
+    return child ? ancestorTopicSearch(separator, topic, child) : node;
   }
 
-  // Finds the closest ancestor topic
-  function ancestorTopicSearch (topic, node) {
-    return ancestorSearch(getTopic, topic, isAncestorTopic, node);
+  // Finds the child of `node` representing the next generation of `topic`,
+  // which is a descendent of `node`, or null. Siblings that sort between the
+  // child and `topic`, such as `a.b` between `a` and `a/c`, are skipped by
+  // searching for the exact topic of the child.
+  function findTopicChild (separator, topic, node) {
+    // Malformed tokens may not have a topic
+    if (typeof topic !== 'string') {
+      return null;
+    }
+
+    var remainder = node.topic === ''
+      ? topic : topic.substr(node.topic.length + separator.length);
+
+    return findChild(
+      getTopic,
+      joinTopic(separator, node.topic, getGenerations(separator, remainder)[0]),
+      node
+    );
   }
 
   // Takes a topic and an ancestor and adds all of the generations from the
   // ancestor to the topic returning the topic that represents the node.
-  function addTopicLine (topic, ancestor) {
+  function addTopicLine (separator, topic, ancestor) {
     var
       ancestorTopic = ancestor.topic,
-      additionalTopics = [];
+      additionalTopics = [],
+      remainder = topic.substr(ancestorTopic.length),
+
+      generations, prefix, i, n;
 
     if (ancestorTopic !== topic) {
-      // All of the generations to add seeded by the youngest existing ancestor
-      additionalTopics = reduce(
-        appendPrefixedTopic, [ancestorTopic],
-        topic.substr(ancestorTopic.length).replace(/^\./, '').split('.')
-      );
+      // All of the generations to add from the youngest existing ancestor
+      remainder = startsWith(remainder, separator)
+        ? remainder.substr(separator.length) : remainder;
+      generations = getGenerations(separator, remainder);
+
+      for (i = 0, n = generations.length, prefix = ancestorTopic; i < n; i++) {
+        prefix = joinTopic(separator, prefix, generations[i]);
+        additionalTopics.push(prefix);
+      }
     }
 
     // Add a node to the tree for each new topic
     return addFamilyLine(
-      addChildTopic, map(createNode, additionalTopics.slice(1)), ancestor
+      addChildTopic, map(createNode, additionalTopics), ancestor
     );
   }
 
@@ -749,26 +2959,6 @@
     return addChild(getTopic, child, tree);
   }
 
-  // Appends the fully qualified topic name to the array using the last
-  // element of the array. This array must have length 1. If it should start
-  // at the root, then the array should be [ '' ].
-  function appendPrefixedTopic (arr, topic) {
-    var prefix = arr[arr.length - 1] === ''
-      ? '' : arr[arr.length - 1] + '.';
-
-    arr.push(prefix + topic);
-    return arr;
-  }
-
-  // Finds the Ancestor of the specified topic or undefined
-  function isAncestorTopic (topic, node) {
-    var nodeTopic = getTopic(node);
-
-    return topic === nodeTopic
-      || startsWith(topic, nodeTopic + '.')
-      || nodeTopic === '';
-  }
-
   // Given a fingerArray, return the order of current item
   function getFingerArrayOrder (fingerArray) {
     var item = getPointedFinger(fingerArray);
@@ -838,6 +3028,10 @@
     var
       resolver = {
         settled: false,
+        canceled: false,
+        view: null,
+        invoked: 0,
+        outcomes: [],
         fulfilledValues: [],
         rejectedValues: []
       },
@@ -849,73 +3043,110 @@
     promise.fulfilled = 0;
     promise.rejected = 0;
     promise.pending = 0;
+    promise.skipped = 0;
+    promise.retries = 0;
+    promise.canceled = 0;
     resolver.promise = promise;
+    resolver.controller = createAbortController();
+    resolver.signal = resolver.controller.signal;
 
     return resolver;
   }
 
   // Creates a subscription object
-  function createSubscription (state, fn, options, context) {
+  function createSubscription (state, topic, fn, options, context) {
     return {
       id: state.id(),
+      topic: topic,
       fn: typeof fn === 'function' ? fn : noop,
       suspended: false,
       priority: +options.priority || 0,
+      filter: typeof options.filter === 'function' ? options.filter : null,
+      remaining: options.once ? 1 : +options.count || Infinity,
+      passive: !!options.passive,
+      responder: !!options.responder,
+      timeout: options.timeout,
+      retry: options.retry,
+      tags: typeof options.tag === 'string' ? [options.tag] : options.tag || [],
       context: context || null
     };
   }
 
-  // Creates an empty node of the tree
-  function createNode (topic) {
-    return {topic: topic, subscriptions: [], children: [], persisted: []};
+  // Creates a plain object copy of a node and all of its descendents
+  function snapshotNode (node) {
+    return {
+      topic: node.topic,
+      subscriptions: map(snapshotSubscription, node.subscriptions),
+      persisted: node.persisted.length,
+      children: map(snapshotNode, node.children)
+    };
   }
 
-  // *************************************************************************
-  //   Private Standard Data Structures Algorithms
-  // *************************************************************************
-
-  // Produces a path down the tree to a leaf of the ancestors of the topic
-  function findLineage (getValue, isAncestor, value, tree, path) {
-    path = path || [];
-
-    if (tree && isAncestor(value, tree)) {
-      path.push(tree);
-
-      var // The child is only correct if the children matches the value
-        childIndex = binaryIndexBy(getValue, value, tree.children), // exactly,
-        foundChild = tree.children[childIndex], // otherwise the index is where
-        child = foundChild && getValue(foundChild) === value // it would be
-          ? foundChild : tree.children[childIndex - 1]; // (i.e. One too high)
-
-      return findLineage(getValue, isAncestor, value, child, path);
-    }
-
-    return path;
+  // Creates a plain object describing a subscription
+  function snapshotSubscription (subscription) {
+    return {
+      id: subscription.id,
+      priority: subscription.priority,
+      suspended: subscription.suspended
+    };
   }
 
-  // Searches a tree for the provided topic. If it cannot find
-  // a node with the topic, it returns the closest ancestor.
-  // `getValue(node) === value` means that the exact node was found
-  function ancestorSearch (getValue, value, isAncestor, tree) {
-    if (getValue(tree) === value) {
-      return tree;
-    }
+  // Creates a handle to control the subscriptions associated with `token`,
+  // which is either a token or an array of them. `view` is the scope that
+  // created the handle, if any.
+  function createHandle (state, token, view) {
+    var
+      list = isArray(token) ? token.slice() : [token],
+      handle = {
+        token: exposedToken(),
+        unsubscribe: function unsubscribeHandle () {
+          return every(unsubscribe(state, list));
+        },
+        suspend: function suspendHandle () {
+          return every(unsubscribe(state, list, true));
+        },
+        resume: function resumeHandle () {
+          return every(resubscribe(state, list));
+        },
+        isActive: function isActiveHandle () {
+          return every(curryMap(state, isActiveSubscriber, list));
+        },
+        setPriority: function setPriorityHandle (priority) {
+          var
+            args = {
+              topics: state._topics,
+              separator: state.separator,
+              priority: priority
+            },
+            i, n;
+
+          for (i = 0, n = list.length; i < n; i++) {
+            list[i] = reprioritizeSubscriber(args, list[i]) || list[i];
+          }
 
-    var index = binaryIndexBy(getValue, value, tree.children);
-    var child1 = tree.children[index];
-    var child0 = tree.children[index - 1];
+          handle.token = exposedToken();
+          return handle;
+        }
+      };
 
-    if (child1 && isAncestor(value, child1)) {
-      return ancestorSearch(getValue, value, isAncestor, child1);
-    }
+    return handle;
 
-    if (child0 && isAncestor(value, child0)) {
-      return ancestorSearch(getValue, value, isAncestor, child0);
+    // The tokens of handles created by a scope are relative to it
+    function exposedToken () {
+      var tokens = view ? curryMap(view, relativeToken, list) : list.slice();
+      return isArray(token) ? tokens : tokens[0];
     }
+  }
 
-    return tree;
+  // Creates an empty node of the tree
+  function createNode (topic) {
+    return {topic: topic, subscriptions: [], children: [], persisted: []};
   }
 
+  // *************************************************************************
+  //   Private Standard Data Structures Algorithms
+  // *************************************************************************
+
   // Produces an array of all the descendants of a node including itself. This
   // means all children, grandchildren, great-grandchildren, etc...
   function descendents (node) {
@@ -933,6 +3164,22 @@
     return reduce(addChildToTree, tree, line);
   }
 
+  // Finds the child of `tree` with `getValue(child) === value` or null
+  function findChild (getValue, value, tree) {
+    var child = tree.children[binaryIndexBy(getValue, value, tree.children)];
+
+    return child && getValue(child) === value ? child : null;
+  }
+
+  // Removes a child from the tree that was added with `addChild`
+  function removeChild (getValue, child, tree) {
+    tree.children.splice(
+      binaryIndexBy(getValue, getValue(child), tree.children), 1
+    );
+
+    return child;
+  }
+
   // Adds a node child into the tree in order according to `getValue`
   function addChild (getValue, newChild, tree) {
     tree.children.splice(
@@ -1030,6 +3277,19 @@
     return high;
   }
 
+  // Finds the index of the first element of `arr` such that
+  // `getValue(elem) === value` or -1 if there is none.
+  function indexBy (getValue, value, arr) {
+    var i, n;
+    for (i = 0, n = arr.length; i < n; i++) {
+      if (getValue(arr[i]) === value) {
+        return i;
+      }
+    }
+
+    return -1;
+  }
+
   // Finds the `minimum` element of an array according to the `valueComputer`
   // function.
   function minBy (valueComputer, list) {
@@ -1083,10 +3343,73 @@
     return node;
   }
 
+  // Uses `AbortController` where it is available. Otherwise, a signal with the
+  // `aborted`, `reason` and `onabort` properties is used.
+  function createAbortController () {
+    if (typeof AbortController === 'function') {
+      return new AbortController();
+    }
+
+    var controller = {signal: {aborted: false, reason: null, onabort: null}};
+
+    controller.abort = function abort (reason) {
+      var signal = controller.signal;
+
+      if (!signal.aborted) {
+        signal.aborted = true;
+        signal.reason = reason;
+
+        if (typeof signal.onabort === 'function') {
+          signal.onabort({type: 'abort'});
+        }
+      }
+    };
+
+    return controller;
+  }
+
+  // Makes `ErrorType` a subclass of `Error` named `errorName`. IE8 lacks
+  // `Object.create`, so a surrogate constructor provides the prototype.
+  function inheritError (ErrorType, errorName) {
+    function Surrogate () {}
+    Surrogate.prototype = Error.prototype;
+
+    ErrorType.prototype = new Surrogate();
+    ErrorType.prototype.constructor = ErrorType;
+    ErrorType.prototype.name = errorName;
+  }
+
+  // Initializes an instance of an `Error` subclass with `message` and the
+  // properties of `properties`.
+  function initError (error, message, properties) {
+    var key;
+
+    error.message = message;
+    error.stack = new Error(message).stack;
+
+    for (key in properties) {
+      if (properties.hasOwnProperty(key)) {
+        error[key] = properties[key];
+      }
+    }
+
+    return error;
+  }
+
   // A poor-mans ES6 Symbol. Comparing to this by reference to check for
   // `Nothing` since `undefined` and `null` are valid values.
   function SYMBOL_NOTHING () {}
 
+  // Returned by a subscriber to stop a publication from propagating to the
+  // remaining subscribers.
+  function SYMBOL_STOP () {}
+
+  // Returned by a responder to let the next responder answer a request
+  function SYMBOL_DECLINE () {}
+
+  // Returned or thrown by a subscriber to reject a publication
+  function SYMBOL_VETO () {}
+
   // *************************************************************************
   //   Private Utility Functions
   // *************************************************************************
@@ -1094,7 +3417,7 @@
   // Executes a function with the specified arguments asynchronously.
   function async (f, args) {
     new Promise(invoke).then(function asyncFulfill () {
-      return f.apply(null, args);
+      f.apply(null, args);
     });
   }
 
@@ -1110,6 +3433,12 @@
     };
   }
 
+  // Determines if `arr`, or `arr` itself if it is not an array, only
+  // contains truthy values.
+  function every (arr) {
+    return isArray(arr) ? reduce(and, true, arr) : !!arr;
+  }
+
   // Returns a new object will all the properties of `a` and `b` giving
   // b the priority.
   function merge (a, b) {
@@ -1162,6 +3491,12 @@
     return result;
   }
 
+  // Determines if `topic` is `prefix` or one of its descendents
+  function isWithinTopic (separator, prefix, topic) {
+    return prefix === '' || topic === prefix
+      || startsWith(topic, prefix + separator);
+  }
+
   // Determines whether a string begins with the characters of another string,
   // returning true or false as appropriate.
   function startsWith (haystack, needle, startPosition) {
@@ -1169,22 +3504,86 @@
     return haystack.lastIndexOf(needle, startPosition) === startPosition;
   }
 
+  // Determines if `obj` has its own property `key`. This works for objects
+  // keyed by user strings, where `hasOwnProperty` may be one of the keys.
+  function hasOwn (obj, key) {
+    return Object.prototype.hasOwnProperty.call(obj, key);
+  }
+
+  // Determines if `x` is neither `null` nor `undefined`
+  function isPresent (x) {
+    return x !== null && typeof x !== 'undefined';
+  }
+
+  // Ignores its arguments and produces `false`
+  function alwaysFalse () {
+    return false;
+  }
+
+  // The current time in milliseconds. `Date.now` is not available in IE8.
+  function now () {
+    return new Date().getTime();
+  }
+
+  // Produces a promise that fulfills after `ms` milliseconds
+  function delay (ms) {
+    return new Promise(function delayResolver (fulfill) {
+      setTimeout(fulfill, ms);
+    });
+  }
+
   // Invokes the first argument as a function without any arguments. Useful
   // for resolving promises immediately.
   function invoke (f) {
     f();
   }
 
+  // Determines if `x` is an element of `arr` using strict equality. This
+  // exists because Array.prototype.indexOf is not available in ES3.
+  function contains (x, arr) {
+    for (var i = 0, n = arr.length; i < n; i++) {
+      if (arr[i] === x) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  // Appends `x` to `arr` unless it is already an element of it.
+  function appendUnique (arr, x) {
+    if (!contains(x, arr)) {
+      arr.push(x);
+    }
+
+    return arr;
+  }
+
   // Gets the length of arrays and array-like objects.
   function getLength (x) {
     return x.length;
   }
 
+  // Concatenates two arrays
+  function concat (x, y) {
+    return x.concat(y);
+  }
+
   // "Simple" JavaScript addition ;-)
   function add (x, y) {
     return x + y;
   }
 
+  // Boolean conjunction as a function
+  function and (x, y) {
+    return !!(x && y);
+  }
+
+  // `Array.isArray` is not available in IE8
+  function isArray (x) {
+    return Object.prototype.toString.call(x) === '[object Array]';
+  }
+
   // The only automorphism that is its own isomorphism
   function identity (x) {
     return x;
@@ -1194,6 +3593,16 @@
   function noop () {
   }
 
+  // Throws an error unless `value` can be used to split topics. Escaping
+  // relies on the backslash, so it cannot be part of a delimiter.
+  function assertDelimiter (value, identifier) {
+    assert(
+      typeof value === 'string' && value !== '' && value.indexOf('\\') === -1,
+      true, 'Arbiter.create', 'non-empty strings without backslashes',
+      identifier
+    );
+  }
+
   // Throws an error if value !=== expected. This is useful for input
   // validation.
   function assert (value, expected, method, type, identifier) {
@@ -75,6 +75,211 @@ describe('Arbiter', function () {
         expect(subPub('a', spy, {}, context)).toHaveBeenCalled();
       });
 
+      it('allows for changing `this` of persisted messages', function () {
+        var context = {};
+        var spy = jasmine.createSpy();
+        pub('a', null, {persist: true});
+        sub('a', spy, {}, context);
+        expect(spy.calls.first().object).toBe(context);
+      });
+
+      describe('filter', function () {
+        it('only notifies when the filter passes', function () {
+          var spy = sub('a', null, {filter: function (data, topic) {
+            return data > 1 && topic === 'a.b';
+          }});
+
+          pub('a.b', 1);
+          pub('a.c', 2);
+          pub('a.b', 2);
+
+          expect(spy.calls.count()).toBe(1);
+          expect(spy.calls.first().args[0]).toBe(2);
+        });
+
+        it('does not count filtered subscribers', function (cb) {
+          sub('a', null, {filter: always(false)});
+          sub('a', always(1));
+
+          var promise = pub('a', null, {latch: 0.5});
+          promise.then(function (results) {
+            expect(promise.fulfilled).toBe(1);
+            expect(promise.pending).toBe(0);
+            expect(results).toEqual([1]);
+            cb();
+          });
+        });
+
+        it('counts a filter that throws as a failure', function (cb) {
+          var spy = sub('a', null, {filter: function () {
+            throw new Error('filter');
+          }});
+          sub('a', always(1));
+
+          var promise = pub('a', null, {latch: 0.5});
+          promise.then(function (results) {
+            expect(results).toEqual([1]);
+            expect(promise.rejected).toBe(1);
+            expect(spy).not.toHaveBeenCalled();
+            cb();
+          });
+        });
+
+        it('uses the context of the subscription', function () {
+          var context = {};
+          var filter = jasmine.createSpy().and.returnValue(true);
+          sub('a', null, {filter: filter}, context);
+          pub('a');
+          expect(filter.calls.first().object).toBe(context);
+        });
+
+        it('applies to persisted messages', function () {
+          pub('a', 1, {persist: true});
+          pub('a', 2, {persist: true});
+          var spy = sub('a', null, {filter: function (data) {
+            return data === 2;
+          }});
+
+          expect(spy.calls.count()).toBe(1);
+          expect(spy.calls.first().args[0]).toBe(2);
+        });
+
+        it('skips persisted messages when the filter throws', function () {
+          pub('a', 1, {persist: true});
+          pub('a', 2, {persist: true});
+          var spy = sub('a', null, {filter: function (data) {
+            if (data === 1) {
+              throw new Error('filter');
+            }
+
+            return true;
+          }});
+
+          expect(spy.calls.count()).toBe(1);
+          expect(arbiter.unsubscribe(spy.token)).toBe(true);
+        });
+      });
+
+      describe('once and count', function () {
+        it('once only invokes the subscription one time', function () {
+          var spy = sub('a', null, {once: true});
+          pub('a');
+          pub('a');
+          expect(spy.calls.count()).toBe(1);
+        });
+
+        it('count invokes the subscription n times', function () {
+          var spy = sub('a', null, {count: 2});
+          pub('a');
+          pub('a.b');
+          pub('a');
+          expect(spy.calls.count()).toBe(2);
+        });
+
+        it('removes the subscription after the last invocation', function () {
+          var spy = sub('a', null, {once: true});
+          pub('a');
+          expect(arbiter.unsubscribe(spy.token)).toBe(false);
+          expect(arbiter.topics()).toEqual([]);
+        });
+
+        it('does not count filtered publications', function () {
+          var spy = sub('a', null, {once: true, filter: function (data) {
+            return data;
+          }});
+          pub('a', false);
+          pub('a', true);
+          pub('a', true);
+          expect(spy.calls.count()).toBe(1);
+        });
+
+        it('counts persisted messages', function () {
+          pub('a', 1, {persist: true});
+          pub('a', 2, {persist: true});
+          var spy = sub('a', null, {once: true});
+          pub('a', 3);
+          expect(spy.calls.count()).toBe(1);
+          expect(spy.calls.first().args[0]).toBe(1);
+        });
+
+        it('is removed before asynchronous publications', function (cb) {
+          arbiter.options.sync = false;
+          var spy = sub('a', null, {once: true});
+          pub('a');
+          pub('a');
+
+          setTimeout(function () {
+            expect(spy.calls.count()).toBe(1);
+            cb();
+          });
+        });
+
+        it('is not invoked by queued publications', function (cb) {
+          var dp = delayedPromise();
+          sub('a', always(dp.promise), {priority: 1});
+          var spy = sub('a', null, {once: true});
+
+          pub('a', null, {semaphor: 1});
+          pub('a');
+          expect(spy.calls.count()).toBe(1);
+
+          dp.resolve();
+          setTimeout(function () {
+            expect(spy.calls.count()).toBe(1);
+            cb();
+          });
+        });
+      });
+
+      describe('handle', function () {
+        it('wraps the token', function () {
+          var handle = arbiter.subscribe('a', noop, {handle: true});
+          expect(handle.token.topic).toBe('a');
+          expect(handle.isActive()).toBe(true);
+        });
+
+        it('unsubscribes its subscriptions', function () {
+          var spy = jasmine.createSpy();
+          var handle = arbiter.subscribe('a, b', spy, {handle: true});
+          expect(handle.unsubscribe()).toBe(true);
+          pub('a');
+          pub('b');
+          expect(spy).not.toHaveBeenCalled();
+          expect(handle.isActive()).toBe(false);
+          expect(handle.unsubscribe()).toBe(false);
+        });
+
+        it('suspends and resumes its subscriptions', function () {
+          var spy = jasmine.createSpy();
+          var handle = arbiter.subscribe('a, b', spy, {handle: true});
+          handle.suspend();
+          pub('a');
+          expect(handle.isActive()).toBe(false);
+
+          handle.resume();
+          pub('b');
+          expect(handle.isActive()).toBe(true);
+          expect(spy.calls.count()).toBe(1);
+        });
+
+        it('changes the priority of its subscriptions', function () {
+          var calls = [];
+          var handle = arbiter.subscribe('a, b', function () {
+            calls.push('handle');
+          }, {handle: true});
+          sub('', function () {
+            calls.push('other');
+          }, {priority: 1});
+
+          handle.setPriority(2);
+          pub('a');
+          pub('b');
+          expect(calls).toEqual(['handle', 'other', 'handle', 'other']);
+          expect(handle.token[1].priority).toBe(2);
+          expect(handle.unsubscribe()).toBe(true);
+        });
+      });
+
       describe('has hierarchical topics', function () {
         it('seperate generations by a dot', function () {
           var spy = sub('a');
@@ -195,8 +400,8 @@ describe('Arbiter', function () {
             done(42);
           });
 
-          pub('a').then(noop, function (data) {
-            expect(data[0]).toBe(42);
+          pub('a').then(noop, function (err) {
+            expect(err.errors[0]).toBe(42);
             cb();
           });
         });
@@ -206,8 +411,22 @@ describe('Arbiter', function () {
             throw new Error();
           });
 
-          pub('a').then(noop, function (errors) {
-            expect(errors.length).toBe(1);
+          pub('a').then(noop, function (err) {
+            expect(err.errors.length).toBe(1);
+            cb();
+          });
+        });
+
+        it('has the number of skipped subscribers', function (cb) {
+          sub('ui', null, {priority: 1});
+          sub('ui.dialog', null, {priority: 2});
+          sub('ui.dialog.keydown', always(arbiter.STOP), {priority: 3});
+
+          var promise = pub('ui.dialog.keydown');
+          promise.then(function (results) {
+            expect(promise.fulfilled).toBe(1);
+            expect(promise.skipped).toBe(2);
+            expect(results[0]).toBe();
             cb();
           });
         });
@@ -252,12 +471,17 @@ describe('Arbiter', function () {
         });
 
         describe('rejects', function () {
-          it('to an array of values', function (cb) {
+          it('to a PublicationError of values', function (cb) {
             arbiter.options.latch = 0.5;
 
             var r = ndp('a.aa.aaa.aaaa.aaaaa.aaaaaa', 2, false);
-            r.promise.then(noop, function (rejects) {
-              expect(rejects.length).toBe(2);
+            r.promise.then(noop, function (err) {
+              expect(err instanceof arbiter.PublicationError).toBe(true);
+              expect(err instanceof Error).toBe(true);
+              expect(err.topic).toBe('a.aa.aaa.aaaa.aaaaa.aaaaaa');
+              expect(err.reason).toBe('latch-unreachable');
+              expect(err.rejected).toBe(2);
+              expect(err.errors.length).toBe(2);
               cb();
             });
           });
@@ -266,10 +490,10 @@ describe('Arbiter', function () {
             arbiter.options.latch = 0.3;
 
             var r = ndp('1', 3);
-            r.promise.then(noop, function (rejects) {
-              expect(rejects[0]).toBe(2);
-              expect(rejects[1]).toBe(0);
-              expect(rejects[2]).toBe(1);
+            r.promise.then(noop, function (err) {
+              expect(err.errors[0]).toBe(2);
+              expect(err.errors[1]).toBe(0);
+              expect(err.errors[2]).toBe(1);
               cb();
             });
 
@@ -282,13 +506,32 @@ describe('Arbiter', function () {
             arbiter.options.latch = 0.75;
 
             var r = ndp('1.2', 2, false, 1);
-            r.promise.then(noop, function (rejects) {
-              expect(rejects.length).toBe(1);
+            r.promise.then(noop, function (err) {
+              expect(err.errors.length).toBe(1);
               cb();
             });
 
             r.dps[1].resolve(1);
           });
+
+          it('with no-subscribers when there are none', function (cb) {
+            pub('a', null, {latch: 1}).then(noop, function (err) {
+              expect(err.reason).toBe('no-subscribers');
+              expect(err.errors).toEqual([]);
+              cb();
+            });
+          });
+
+          it('to an array with rejectWithArray', function (cb) {
+            sub('a', function () {
+              return Promise.reject(1);
+            });
+
+            pub('a', null, {rejectWithArray: true}).then(noop, function (err) {
+              expect(err).toEqual([1]);
+              cb();
+            });
+          });
         });
       });
 
@@ -351,6 +594,69 @@ describe('Arbiter', function () {
 
         });
 
+        it('broadcast notifies descendents', function () {
+          var spy1 = sub('app.header');
+          var spy2 = sub('app.footer.menu');
+          var spy3 = sub('');
+
+          pub('app', null, {broadcast: true});
+
+          expect(spy1).toHaveBeenCalled();
+          expect(spy2.calls.first().args[1]).toBe('app');
+          expect(spy3).toHaveBeenCalled();
+        });
+
+        it('broadcast does not notify siblings', function () {
+          var spy = sub('apps.header');
+          pub('app', null, {broadcast: true});
+          expect(spy).not.toHaveBeenCalled();
+        });
+
+        it('broadcast with preventBubble skips ancestors', function () {
+          var spy1 = sub('app.header');
+          var spy2 = sub('');
+
+          pub('app', null, {broadcast: true, preventBubble: true});
+
+          expect(spy1).toHaveBeenCalled();
+          expect(spy2).not.toHaveBeenCalled();
+        });
+
+        it('broadcast counts every subscriber in the promise', function (cb) {
+          sub('app.header');
+          sub('app.footer.menu');
+
+          pub('app', null, {broadcast: true}).then(function (results) {
+            expect(results.length).toBe(2);
+            cb();
+          });
+        });
+
+        it('STOP prevents lower priority subscribers', function () {
+          var spy1 = sub('ui', null, {priority: 1});
+          var spy2 = sub('ui.dialog', null, {priority: -1});
+          sub('ui.dialog.keydown', always(arbiter.STOP));
+
+          pub('ui.dialog.keydown');
+
+          expect(spy1).toHaveBeenCalled();
+          expect(spy2).not.toHaveBeenCalled();
+        });
+
+        it('STOP skips subscribers waiting on the semaphor', function (cb) {
+          var spy = sub('ui', null, {priority: 1});
+          sub('ui.dialog', function () {
+            return Promise.resolve(arbiter.STOP);
+          }, {priority: 2});
+
+          var promise = pub('ui.dialog', null, {semaphor: 1});
+          promise.then(function () {
+            expect(spy).not.toHaveBeenCalled();
+            expect(promise.skipped).toBe(1);
+            cb();
+          });
+        });
+
         it('allows late subscribers to recieve persisted topics', function () {
           expect(p1so('aa.bb.cc', 'aa.bb.cc')).toHaveBeenCalled();
         });
@@ -368,153 +674,897 @@ describe('Arbiter', function () {
           expect(spy.calls.mostRecent().args[1]).toBe('xx');
         });
 
-        describe('latch', function () {
-          it('fulfills after a number of fulfilled promises', function (cb) {
-            arbiter.options.latch = 2;
-
-            var r = ndp('1.2.3', 3, true, 2);
-            r.promise.then(function () {
-              expect(r.promise.fulfilled).toBe(2);
+        describe('timeout', function () {
+          function hang () {
+            return new Promise(noop);
+          }
+
+          it('rejects subscribers that never settle', function (cb) {
+            var token = arbiter.subscribe('a', hang, {timeout: 1});
+            var promise = pub('a');
+
+            promise.then(null, function (err) {
+              var errs = err.errors;
+              expect(errs[0] instanceof arbiter.TimeoutError).toBe(true);
+              expect(errs[0] instanceof Error).toBe(true);
+              expect(errs[0].topic).toBe('a');
+              expect(errs[0].id).toBe(token.id);
+              expect(errs[0].message).toContain(String(token.id));
+              expect(promise.rejected).toBe(1);
+              expect(promise.pending).toBe(0);
               cb();
             });
           });
 
-          it('rejects when number of fulfilled is impossible', function (cb) {
-            arbiter.options.latch = 1;
+          it('can be set by the publication', function (cb) {
+            sub('a', hang);
+            pub('a', null, {timeout: 1}).then(null, function (err) {
+              expect(err.errors[0].name).toBe('TimeoutError');
+              cb();
+            });
+          });
 
-            pub('a').then(noop, cb);
+          it('of the subscription overrides the publication', function (cb) {
+            sub('a', hang, {timeout: 1});
+            var promise = pub('a', null, {timeout: Infinity, latch: 1});
+            promise.then(null, function () {
+              cb();
+            });
           });
 
-          it('rejects when fulfillment becomes impossible', function (cb) {
-            arbiter.options.latch = 2;
+          it('does not affect subscribers that settle', function (cb) {
+            sub('a', always(1), {timeout: 1});
+            pub('a').then(function (results) {
+              expect(results).toEqual([1]);
+              cb();
+            });
+          });
 
-            var r = ndp('1.2.11', 3, false, 2);
-            r.promise.then(noop, cb);
+          it('allows queued subscribers to run', function (cb) {
+            var spy = sub('a');
+            sub('a', hang, {priority: 1, timeout: 1});
+            pub('a', null, {semaphor: 1, latch: 1}).then(function () {
+              expect(spy).toHaveBeenCalled();
+              cb();
+            });
           });
+        });
 
-          it('fulfills after a fraction of fulfilled promises', function (cb) {
-            arbiter.options.latch = 0.5;
+        describe('retry', function () {
+          function failTimes (n, value) {
+            return jasmine.createSpy().and.callFake(function () {
+              n -= 1;
+              return n >= 0 ? Promise.reject(n) : value;
+            });
+          }
 
-            var r = ndp('1.11.0', 2, true, 1);
-            r.promise.then(cb);
+          it('re-invokes failed subscribers', function (cb) {
+            var spy = failTimes(2, 'ok');
+            sub('a', spy, {retry: {attempts: 3}});
+
+            var promise = pub('a');
+            promise.then(function (results) {
+              expect(results).toEqual(['ok']);
+              expect(spy.calls.count()).toBe(3);
+              expect(promise.retries).toBe(2);
+              cb();
+            });
           });
 
-          describe('settlementLatch', function () {
-            it('fulfills after a number of settled promises', function (cb) {
-              arbiter.options.settlementLatch = true;
-              arbiter.options.latch = 2;
+          it('rejects after the last attempt', function (cb) {
+            var spy = failTimes(5);
+            sub('a', spy);
 
-              var r = ndp('1.0.1', 2, true, 1);
-              r.promise.then(cb);
+            var promise = pub('a', null, {retry: {attempts: 2}});
+            promise.then(null, function (err) {
+              expect(err.errors).toEqual([3]);
+              expect(spy.calls.count()).toBe(2);
+              expect(promise.rejected).toBe(1);
+              cb();
+            });
+          });
 
-              r.dps[1].reject();
+          it('only retries when retryIf allows it', function (cb) {
+            var spy = failTimes(5);
+            sub('a', spy, {retry: {attempts: 5, retryIf: function (err) {
+              return err > 3;
+            }}});
+
+            pub('a').then(null, function () {
+              expect(spy.calls.count()).toBe(2);
+              cb();
             });
+          });
 
-            it('fulfills after a fraction of settled promises', function (cb) {
-              arbiter.options.settlementLatch = true;
-              arbiter.options.latch = 0.66;
+          it('waits with exponential backoff', function (cb) {
+            var spy = failTimes(2, 'ok');
+            sub('a', spy, {retry: {
+              attempts: 3,
+              backoff: 'exponential',
+              delay: 5
+            }});
+
+            var start = Date.now();
+            pub('a').then(function () {
+              expect(Date.now() - start).toBeGreaterThan(13);
+              cb();
+            });
+          });
 
-              var r = ndp('*.1', 3, true, 1);
-              r.promise.then(cb);
+          it('keeps the semaphor slot while retrying', function (cb) {
+            var spy = sub('a');
+            sub('a', failTimes(1), {priority: 1, retry: {attempts: 2}});
 
-              r.dps[1].reject();
+            var promise = pub('a', null, {semaphor: 1});
+            expect(spy).not.toHaveBeenCalled();
+            promise.then(function () {
+              expect(spy).toHaveBeenCalled();
+              cb();
             });
+          });
+        });
 
-            it('can fail if there are not enough subscribers', function (cb) {
-              arbiter.options.settlementLatch = true;
-              arbiter.options.latch = 1;
+        describe('deadline', function () {
+          it('rejects when the latch is not met in time', function (cb) {
+            var dp = delayedPromise();
+            sub('a', always(dp.promise));
+            sub('a', function () {
+              return Promise.reject('err');
+            });
 
-              pub('a').then(noop, cb);
+            var promise = pub('a', null, {deadline: 1, latch: 1});
+            promise.then(null, function (err) {
+              expect(err.reason).toBe('timeout');
+              expect(err.errors).toEqual(['err']);
+              expect(promise.pending).toBe(1);
+              cb();
             });
+          });
 
-            it('combines fulfilled and rejcted arrays', function (cb) {
-              arbiter.options.settlementLatch = true;
+          it('partial fulfills with the values so far', function (cb) {
+            var dp = delayedPromise();
+            sub('a', always(dp.promise));
+            sub('a', always(1));
 
-              var r = ndp('!@#$%^&*().)(*&^%$#@!)', 2);
-              r.promise.then(function (data) {
-                expect(data.length).toBe(2);
-                expect(data[0]).toBe(1);
-                expect(data[1]).toBe(2);
+            pub('a', null, {deadline: 1, partial: true})
+              .then(function (results) {
+                expect(results).toEqual([1]);
                 cb();
               });
+          });
 
-              r.dps[0].resolve(1);
-              r.dps[1].reject(2);
+          it('does not affect publications that settle', function (cb) {
+            sub('a', always(1));
+            pub('a', null, {deadline: 1}).then(function (results) {
+              expect(results).toEqual([1]);
+              cb();
             });
+          });
 
-            it('semaphor allows n concurrent subscribers', function (cb) {
-              arbiter.options.semaphor = 1;
-
-              var r = ndp('%', 3);
+          it('ignores late results by default', function (cb) {
+            var dp = delayedPromise();
+            sub('a', always(dp.promise));
 
-              expect(r.dps[0].spy).toHaveBeenCalled();
-              expect(r.dps[1].spy).not.toHaveBeenCalled();
-              expect(r.dps[2].spy).not.toHaveBeenCalled();
-              r.dps[0].resolve();
-              setTimeout(function () {
-                expect(r.dps[1].spy).toHaveBeenCalled();
-                expect(r.dps[2].spy).not.toHaveBeenCalled();
-                r.dps[1].resolve();
-                setTimeout(function () {
-                  expect(r.dps[2].spy).toHaveBeenCalled();
-                  r.dps[2].resolve();
-                  cb();
-                }, 5);
-              }, 5);
+            var promise = pub('a', null, {deadline: 1, partial: true});
+            promise.then(function () {
+              dp.resolve(2);
+              return dp.promise;
+            }).then(function () {
+              expect(promise.fulfilled).toBe(0);
+              cb();
             });
           });
         });
-      });
 
-      describe('hierarchical topics', function () {
-        it('publishes to grandparents', function () {
-          expect(s1po('a', 'a.b.c')).toHaveBeenCalled();
-        });
+        describe('cancel', function () {
+          it('stops invoking queued subscribers', function (cb) {
+            var dp = delayedPromise();
+            var spy = sub('a');
+            sub('a', always(dp.promise), {priority: 1});
+
+            var promise = pub('a', null, {semaphor: 1});
+            expect(promise.cancel()).toBe(true);
+            expect(promise.cancel()).toBe(false);
+            dp.resolve();
+
+            promise.then(null, function (err) {
+              expect(err instanceof arbiter.CancelError).toBe(true);
+              expect(err.topic).toBe('a');
+              expect(spy).not.toHaveBeenCalled();
+              expect(promise.canceled).toBe(2);
+              expect(promise.pending).toBe(0);
+              expect(promise.rejected).toBe(0);
+              cb();
+            });
+          });
 
-        it('empty is the root topic', function () {
-          expect(s1po('', 'a')).toHaveBeenCalled();
-        });
+          it('aborts the signal of running subscribers', function (cb) {
+            var signal;
+            sub('a', function (data, topic, _, s) {
+              signal = s;
+              return new Promise(noop);
+            });
 
-        it('does not notifiy childrens', function () {
-          expect(s1po('a.b', 'a')).not.toHaveBeenCalled();
-        });
+            var promise = pub('a');
+            expect(signal.aborted).toBe(false);
+            promise.cancel('navigated');
+            expect(signal.aborted).toBe(true);
 
-        it('does not notify siblings', function () {
-          expect(s1po('a.b', 'a.c')).not.toHaveBeenCalled();
-        });
-      });
-    });
+            promise.then(null, function (err) {
+              expect(err.reason).toBe('navigated');
+              cb();
+            });
+          });
 
-    describe('unsubscribe', function () {
-      it('does not invoke unsubscribed subscriptions', function () {
-        var spy = sub('^');
-        arbiter.unsubscribe(spy.token);
-        pub('^');
-        expect(spy).not.toHaveBeenCalled();
-      });
+          it('keeps subscribers with a signal plain', function (cb) {
+            sub('a', function (data, topic, callback, signal) {
+              expect(callback).toBe(null);
+              expect(signal.aborted).toBe(false);
+              return 5;
+            });
 
-      it('does not invoke suspended subscriptions', function () {
-        var spy = sub('&');
-        arbiter.unsubscribe(spy.token, true);
-        pub('&');
-        expect(spy).not.toHaveBeenCalled();
-      });
+            pub('a').then(function (results) {
+              expect(results).toEqual([5]);
+              cb();
+            });
+          });
 
-      it('only removes the subscriber assicatied with a token', function () {
-        var spy1 = sub('ʕʘ̅͜ʘ̅ʔ');
-        var spy2 = sub('ʕʘ̅͜ʘ̅ʔ');
-        sub('ʕʘ̅͜ʘ̅ʔ');
-        arbiter.unsubscribe(spy1.token);
-        pub('ʕʘ̅͜ʘ̅ʔ');
-        expect(spy1).not.toHaveBeenCalled();
-        expect(spy2).toHaveBeenCalled();
-      });
+          it('can cancel asynchronous publications', function (cb) {
+            var spy = sub('a');
+            var promise = pub('a', null, {sync: false});
+            promise.cancel();
 
-      it('can unsubscribe groups of subscriptions', function () {
-        var spy = sub('\'');
-        arbiter.unsubscribe('\'');
-        pub('\'');
-        expect(spy).not.toHaveBeenCalled();
+            promise.then(null, function () {
+              setTimeout(function () {
+                expect(spy).not.toHaveBeenCalled();
+                expect(promise.canceled).toBe(1);
+                cb();
+              });
+            });
+          });
+
+          it('is canceled by an aborted signal', function (cb) {
+            if (typeof AbortController !== 'function') {
+              return cb();
+            }
+
+            var controller = new AbortController();
+            var spy = sub('a');
+            var promise = pub('a', null, {
+              sync: false,
+              signal: controller.signal
+            });
+            controller.abort();
+
+            return promise.then(null, function (err) {
+              expect(err instanceof arbiter.CancelError).toBe(true);
+              expect(spy).not.toHaveBeenCalled();
+              cb();
+            });
+          });
+
+          it('stops listening to the signal once settled', function (cb) {
+            var signal = {
+              aborted: false,
+              addEventListener: jasmine.createSpy('add'),
+              removeEventListener: jasmine.createSpy('remove')
+            };
+            sub('a', always(1));
+
+            pub('a', null, {signal: signal}).then(function () {
+              var listener = signal.addEventListener.calls.argsFor(0)[1];
+              expect(signal.removeEventListener)
+                .toHaveBeenCalledWith('abort', listener);
+              cb();
+            });
+          });
+
+          it('does not change settled publications', function (cb) {
+            sub('a', always(1));
+            var promise = pub('a');
+            promise.then(function (results) {
+              expect(promise.cancel()).toBe(true);
+              expect(promise.canceled).toBe(0);
+              expect(results).toEqual([1]);
+              cb();
+            });
+          });
+        });
+
+        describe('results', function () {
+          it('detailed fulfills with an entry per subscriber', function (cb) {
+            var a = sub('a', always(1), {priority: 1});
+            sub('a.b', always(2));
+
+            pub('a.b', null, {results: 'detailed'}).then(function (results) {
+              expect(results.length).toBe(2);
+              expect(results[0].token).toEqual(a.token);
+              expect(results[0].topic).toBe('a');
+              expect(results[0].status).toBe('fulfilled');
+              expect(results[0].value).toBe(1);
+              expect(results[0].durationMs >= 0).toBe(true);
+              expect(results[1].topic).toBe('a.b');
+              cb();
+            });
+          });
+
+          it('detailed distinguishes rejections', function (cb) {
+            sub('a', always(1));
+            sub('a', function () {
+              return Promise.reject('err');
+            });
+
+            pub('a', null, {results: 'detailed', settlementLatch: true})
+              .then(function (results) {
+                expect(results[1].status).toBe('rejected');
+                expect(results[1].reason).toBe('err');
+                expect('value' in results[1]).toBe(false);
+                cb();
+              });
+          });
+
+          it('are values by default', function (cb) {
+            sub('a', always(1));
+            pub('a').then(function (results) {
+              expect(results).toEqual([1]);
+              cb();
+            });
+          });
+        });
+
+        describe('reduce', function () {
+          it('folds the values in priority order', function (cb) {
+            var dp = delayedPromise();
+            sub('a', always(dp.promise), {priority: 2});
+            sub('a', always(2), {priority: 1});
+            sub('a', always(3));
+
+            pub('a', null, {reduce: function (acc, value) {
+              return acc + value;
+            }, initial: ''}).then(function (result) {
+              expect(result).toBe('123');
+              cb();
+            });
+
+            dp.resolve(1);
+          });
+
+          it('seeds with the first value without initial', function (cb) {
+            sub('a', always(1));
+            sub('a', always(2));
+            pub('a', null, {reduce: Math.max}).then(function (result) {
+              expect(result).toBe(2);
+              cb();
+            });
+          });
+
+          it('first fulfills with the first present value', function (cb) {
+            var dp = delayedPromise();
+            sub('a', always(null), {priority: 2});
+            sub('a', always(1), {priority: 1});
+            sub('a', always(dp.promise));
+
+            pub('a', null, {reduce: 'first'}).then(function (result) {
+              expect(result).toBe(1);
+              cb();
+            });
+          });
+
+          it('last, merge and all', function (cb) {
+            sub('a', always({x: 1, y: 1}), {priority: 1});
+            sub('a', always({y: 2}));
+
+            Promise.all([
+              pub('a', null, {reduce: 'last'}),
+              pub('a', null, {reduce: 'merge'}),
+              pub('a', null, {reduce: 'all'})
+            ]).then(function (results) {
+              expect(results[0]).toEqual({y: 2});
+              expect(results[1]).toEqual({x: 1, y: 2});
+              expect(results[2]).toEqual([{x: 1, y: 1}, {y: 2}]);
+              cb();
+            });
+          });
+
+          it('ignores rejected values', function (cb) {
+            sub('a', always(1));
+            sub('a', function () {
+              return Promise.reject(2);
+            });
+
+            pub('a', null, {reduce: 'all', latch: 1}).then(function (result) {
+              expect(result).toEqual([1]);
+              cb();
+            });
+          });
+
+          it('rejects with the error of a reducer that throws', function (cb) {
+            var error = new Error('reduce');
+            sub('a', always(1));
+            sub('a', always(2));
+
+            pub('a', null, {reduce: function () {
+              throw error;
+            }}).then(noop, function (err) {
+              expect(err).toBe(error);
+              cb();
+            });
+          });
+
+          it('throws for unknown reducers', function () {
+            function f () {
+              pub('a', null, {reduce: 'nope'});
+            }
+
+            expect(f).toThrowError(/nope/);
+          });
+        });
+
+        describe('waterfall', function () {
+          it('passes each value to the next subscriber', function (cb) {
+            var dp = delayedPromise();
+            sub('a', function (data) {
+              return dp.promise.then(function (value) {
+                return data + value;
+              });
+            }, {priority: 2});
+            sub('a', function (data) {
+              return data + 'c';
+            }, {priority: 1});
+            sub('a', function (data) {
+              return data + 'd';
+            });
+
+            pub('a', 'a', {mode: 'waterfall'}).then(function (result) {
+              expect(result).toBe('abcd');
+              cb();
+            });
+
+            dp.resolve('b');
+          });
+
+          it('filters see the value of the previous subscriber', function (cb) {
+            var s = jasmine.createSpy('s');
+            sub('a', always(2), {priority: 1});
+            sub('a', s, {filter: function (data) {
+              return data === 2;
+            }});
+
+            pub('a', 1, {mode: 'waterfall'}).then(function () {
+              expect(s).toHaveBeenCalledWith(2, 'a', null, jasmine.any(Object));
+              cb();
+            });
+          });
+
+          it('stops and reports the failed subscription', function (cb) {
+            var s = jasmine.createSpy('s'), token;
+            sub('a', always(1), {priority: 2});
+            token = sub('a', function () {
+              return Promise.reject('err');
+            }, {priority: 1}).token;
+            sub('a', s);
+
+            var p = pub('a', null, {mode: 'waterfall'});
+            p.then(noop, function (err) {
+              expect(err instanceof arbiter.WaterfallError).toBe(true);
+              expect(err.token.id).toBe(token.id);
+              expect(err.topic).toBe('a');
+              expect(err.reason).toBe('err');
+              expect(p.skipped).toBe(1);
+              expect(s).not.toHaveBeenCalled();
+              cb();
+            });
+          });
+
+          it('fulfills with the data without subscribers', function (cb) {
+            pub('a', 1, {mode: 'waterfall'}).then(function (result) {
+              expect(result).toBe(1);
+              cb();
+            });
+          });
+        });
+
+        describe('onProgress', function () {
+          it('is invoked every time a subscriber settles', function (cb) {
+            var progress = [], dp = delayedPromise(), token;
+            sub('a', always(dp.promise), {priority: 1});
+            token = sub('a', function () {
+              return Promise.reject('err');
+            }).token;
+
+            pub('a', null, {latch: 0.5, onProgress: function (update) {
+              progress.push(update);
+            }}).then(function () {
+              expect(progress).toEqual([{
+                fulfilled: 0,
+                rejected: 1,
+                pending: 1,
+                lastValue: 'err',
+                lastToken: token
+              }, {
+                fulfilled: 1,
+                rejected: 1,
+                pending: 0,
+                lastValue: 1,
+                lastToken: jasmine.any(Object)
+              }]);
+              cb();
+            });
+
+            setTimeout(function () {
+              dp.resolve(1);
+            });
+          });
+
+          it('does not depend on listeners that throw', function (cb) {
+            var calls = 0;
+            sub('a', always(1));
+            sub('a', always(2));
+
+            var promise = pub('a', null, {onProgress: function () {
+              calls += 1;
+              throw new Error('listener');
+            }});
+
+            promise.then(function (results) {
+              expect(results).toEqual([1, 2]);
+              expect(calls).toBe(2);
+              cb();
+            });
+          });
+        });
+
+        describe('veto', function () {
+          it('rejects with the vetoing subscription', function (cb) {
+            var s = jasmine.createSpy('s'), token;
+            sub('a', always(1), {priority: 2});
+            token = sub('a', always(arbiter.VETO), {priority: 1}).token;
+            sub('a', s);
+
+            var p = pub('a');
+            p.then(noop, function (err) {
+              expect(err instanceof arbiter.VetoError).toBe(true);
+              expect(err.token.id).toBe(token.id);
+              expect(err.topic).toBe('a');
+              expect(p.skipped).toBe(1);
+              expect(s).not.toHaveBeenCalled();
+              cb();
+            });
+          });
+
+          it('rejects when a subscriber rejects with VETO', function (cb) {
+            var s = jasmine.createSpy('s');
+            sub('a', function () {
+              return Promise.reject(arbiter.VETO);
+            }, {priority: 1});
+            sub('a', s);
+
+            pub('a', null, {semaphor: 1}).then(noop, function (err) {
+              expect(err instanceof arbiter.VetoError).toBe(true);
+              expect(s).not.toHaveBeenCalled();
+              cb();
+            });
+          });
+
+          it('skips later subscribers when thrown', function (cb) {
+            var spy = sub('a', null, {priority: 1});
+            sub('a', function () {
+              throw arbiter.VETO;
+            }, {priority: 10});
+
+            var promise = pub('a', null, {sync: true});
+            expect(spy).not.toHaveBeenCalled();
+            expect(promise.skipped).toBe(1);
+            promise.then(noop, function (err) {
+              expect(err instanceof arbiter.VetoError).toBe(true);
+              cb();
+            });
+          });
+
+          it('is not retried', function (cb) {
+            var s = jasmine.createSpy('s').and.callFake(function () {
+              throw arbiter.VETO;
+            });
+            sub('a', s);
+
+            pub('a', null, {retry: {attempts: 3}}).then(noop, function (err) {
+              expect(err instanceof arbiter.VetoError).toBe(true);
+              expect(s.calls.count()).toBe(1);
+              cb();
+            });
+          });
+        });
+
+        describe('latch', function () {
+          it('fulfills after a number of fulfilled promises', function (cb) {
+            arbiter.options.latch = 2;
+
+            var r = ndp('1.2.3', 3, true, 2);
+            r.promise.then(function () {
+              expect(r.promise.fulfilled).toBe(2);
+              cb();
+            });
+          });
+
+          it('rejects when number of fulfilled is impossible', function (cb) {
+            arbiter.options.latch = 1;
+
+            pub('a').then(noop, cb);
+          });
+
+          it('rejects when fulfillment becomes impossible', function (cb) {
+            arbiter.options.latch = 2;
+
+            var r = ndp('1.2.11', 3, false, 2);
+            r.promise.then(noop, cb);
+          });
+
+          it('fulfills after a fraction of fulfilled promises', function (cb) {
+            arbiter.options.latch = 0.5;
+
+            var r = ndp('1.11.0', 2, true, 1);
+            r.promise.then(cb);
+          });
+
+          describe('settlementLatch', function () {
+            it('fulfills after a number of settled promises', function (cb) {
+              arbiter.options.settlementLatch = true;
+              arbiter.options.latch = 2;
+
+              var r = ndp('1.0.1', 2, true, 1);
+              r.promise.then(cb);
+
+              r.dps[1].reject();
+            });
+
+            it('fulfills after a fraction of settled promises', function (cb) {
+              arbiter.options.settlementLatch = true;
+              arbiter.options.latch = 0.66;
+
+              var r = ndp('*.1', 3, true, 1);
+              r.promise.then(cb);
+
+              r.dps[1].reject();
+            });
+
+            it('can fail if there are not enough subscribers', function (cb) {
+              arbiter.options.settlementLatch = true;
+              arbiter.options.latch = 1;
+
+              pub('a').then(noop, cb);
+            });
+
+            it('combines fulfilled and rejcted arrays', function (cb) {
+              arbiter.options.settlementLatch = true;
+
+              var r = ndp('!@#$%^&*().)(*&^%$#@!)', 2);
+              r.promise.then(function (data) {
+                expect(data.length).toBe(2);
+                expect(data[0]).toBe(1);
+                expect(data[1]).toBe(2);
+                cb();
+              });
+
+              r.dps[0].resolve(1);
+              r.dps[1].reject(2);
+            });
+
+            it('semaphor allows n concurrent subscribers', function (cb) {
+              arbiter.options.semaphor = 1;
+
+              var r = ndp('%', 3);
+
+              expect(r.dps[0].spy).toHaveBeenCalled();
+              expect(r.dps[1].spy).not.toHaveBeenCalled();
+              expect(r.dps[2].spy).not.toHaveBeenCalled();
+              r.dps[0].resolve();
+              setTimeout(function () {
+                expect(r.dps[1].spy).toHaveBeenCalled();
+                expect(r.dps[2].spy).not.toHaveBeenCalled();
+                r.dps[1].resolve();
+                setTimeout(function () {
+                  expect(r.dps[2].spy).toHaveBeenCalled();
+                  r.dps[2].resolve();
+                  cb();
+                }, 5);
+              }, 5);
+            });
+          });
+        });
+      });
+
+      describe('hierarchical topics', function () {
+        it('publishes to grandparents', function () {
+          expect(s1po('a', 'a.b.c')).toHaveBeenCalled();
+        });
+
+        it('empty is the root topic', function () {
+          expect(s1po('', 'a')).toHaveBeenCalled();
+        });
+
+        it('does not notifiy childrens', function () {
+          expect(s1po('a.b', 'a')).not.toHaveBeenCalled();
+        });
+
+        it('does not notify siblings', function () {
+          expect(s1po('a.b', 'a.c')).not.toHaveBeenCalled();
+        });
+      });
+
+      describe('wildcard topics', function () {
+        it('* matches exactly one generation', function () {
+          expect(s1po('a.*.c', 'a.b.c')).toHaveBeenCalled();
+          expect(s1po('a.*.c', 'a.c')).not.toHaveBeenCalled();
+          expect(s1po('a.*.c', 'a.b.b.c')).not.toHaveBeenCalled();
+        });
+
+        it('# matches any number of generations', function () {
+          var spy = sub('a.#.c');
+          pub('a.c');
+          pub('a.b.c');
+          pub('a.b.b.c');
+          pub('a.b');
+          expect(spy.calls.all().length).toBe(3);
+        });
+
+        it('notifies wildcards of descendent publications', function () {
+          expect(s1po('*.b', 'a.b.c')).toHaveBeenCalled();
+        });
+
+        it('are notified once per publication', function () {
+          var spy = sub('a.#.#');
+          pub('a.b.c');
+          expect(spy.calls.count()).toBe(1);
+        });
+
+        it('provides the published topic', function () {
+          var spy = s1po('a.*', 'a.b');
+          expect(spy.calls.first().args[1]).toBe('a.b');
+        });
+
+        it('preserves priority order across all matches', function () {
+          var order = [];
+          sub('a.*', function () {
+            order.push(1);
+          }, {priority: 1});
+          sub('a', function () {
+            order.push(2);
+          }, {priority: 2});
+          sub('#', function () {
+            order.push(3);
+          }, {priority: 3});
+          pub('a.b');
+          expect(order).toEqual([3, 2, 1]);
+        });
+
+        it('preventBubble only notifies exact matches', function () {
+          var spy1 = sub('a.*');
+          var spy2 = sub('*');
+          pub('a.b', null, {preventBubble: true});
+          expect(spy1).toHaveBeenCalled();
+          expect(spy2).not.toHaveBeenCalled();
+        });
+
+        it('late subscribers recieve matching persisted topics', function () {
+          pub('a.b.c', null, {persist: true});
+          pub('a.b.d', null, {persist: true});
+          var spy = sub('a.*.c');
+          expect(spy.calls.count()).toBe(1);
+          expect(spy.calls.first().args[1]).toBe('a.b.c');
+        });
+      });
+    });
+
+    describe('request', function () {
+      it('fulfills with the highest priority response', function (cb) {
+        var spy = jasmine.createSpy().and.returnValue(2);
+        arbiter.respond('a', always(1), {priority: 1});
+        arbiter.respond('a', spy);
+
+        arbiter.request('a').then(function (response) {
+          expect(response).toBe(1);
+          expect(spy).not.toHaveBeenCalled();
+          cb();
+        });
+      });
+
+      it('tries the next responder when one declines', function (cb) {
+        arbiter.respond('a', always(arbiter.DECLINE), {priority: 1});
+        arbiter.respond('a', function (data) {
+          return data + 1;
+        });
+
+        arbiter.request('a', 1).then(function (response) {
+          expect(response).toBe(2);
+          cb();
+        });
+      });
+
+      it('race fulfills with the first response', function (cb) {
+        var dp = delayedPromise();
+        arbiter.respond('a', always(dp.promise), {priority: 1});
+        arbiter.respond('a', always(2));
+
+        arbiter.request('a', null, {race: true}).then(function (response) {
+          expect(response).toBe(2);
+          cb();
+        });
+      });
+
+      it('is not answered by regular subscribers', function (cb) {
+        var spy = sub('a', jasmine.createSpy().and.returnValue(1));
+
+        arbiter.request('a').then(null, function (err) {
+          expect(spy).toHaveBeenCalled();
+          expect(err instanceof arbiter.NoRespondersError).toBe(true);
+          expect(err.topic).toBe('a');
+          cb();
+        });
+      });
+
+      it('rejects when every responder declines', function (cb) {
+        arbiter.respond('a', always(arbiter.DECLINE));
+
+        arbiter.request('a').then(null, function (err) {
+          expect(err instanceof arbiter.NoRespondersError).toBe(true);
+          expect(err.declined).toBe(1);
+          cb();
+        });
+      });
+
+      it('rejects with the failures of responders', function (cb) {
+        arbiter.respond('a', always(arbiter.DECLINE), {priority: 1});
+        arbiter.respond('a', function () {
+          return Promise.reject('err');
+        });
+
+        arbiter.request('a').then(null, function (err) {
+          expect(err instanceof arbiter.PublicationError).toBe(true);
+          expect(err.errors).toEqual(['err']);
+          cb();
+        });
+      });
+
+      it('rejects when the timeout passes', function (cb) {
+        arbiter.respond('a', always(new Promise(noop)));
+
+        arbiter.request('a', null, {timeout: 1}).then(null, function (err) {
+          expect(err instanceof arbiter.TimeoutError).toBe(true);
+          cb();
+        });
+      });
+    });
+
+    describe('unsubscribe', function () {
+      it('does not invoke unsubscribed subscriptions', function () {
+        var spy = sub('^');
+        arbiter.unsubscribe(spy.token);
+        pub('^');
+        expect(spy).not.toHaveBeenCalled();
+      });
+
+      it('does not invoke suspended subscriptions', function () {
+        var spy = sub('&');
+        arbiter.unsubscribe(spy.token, true);
+        pub('&');
+        expect(spy).not.toHaveBeenCalled();
+      });
+
+      it('only removes the subscriber assicatied with a token', function () {
+        var spy1 = sub('ʕʘ̅͜ʘ̅ʔ');
+        var spy2 = sub('ʕʘ̅͜ʘ̅ʔ');
+        sub('ʕʘ̅͜ʘ̅ʔ');
+        arbiter.unsubscribe(spy1.token);
+        pub('ʕʘ̅͜ʘ̅ʔ');
+        expect(spy1).not.toHaveBeenCalled();
+        expect(spy2).toHaveBeenCalled();
+      });
+
+      it('can unsubscribe groups of subscriptions', function () {
+        var spy = sub('\'');
+        arbiter.unsubscribe('\'');
+        pub('\'');
+        expect(spy).not.toHaveBeenCalled();
       });
 
       it('unsubscribes from descendents', function () {
@@ -622,6 +1672,120 @@ describe('Arbiter', function () {
       });
     });
 
+    describe('tags', function () {
+      it('unsubscribes every subscription with the tag', function () {
+        var spy = sub('a, b.c', null, {tag: 'widget'});
+        var other = sub('a');
+        expect(arbiter.unsubscribe({tag: 'widget'})).toBe(true);
+        pub('a');
+        pub('b.c');
+        expect(spy).not.toHaveBeenCalled();
+        expect(other).toHaveBeenCalled();
+        expect(arbiter.topics()).toEqual(['a']);
+      });
+
+      it('suspends and resubscribes by tag', function () {
+        var spy = sub('a', null, {tag: ['x', 'y']});
+        arbiter.unsubscribe({tag: 'y'}, true);
+        pub('a');
+        expect(spy).not.toHaveBeenCalled();
+
+        expect(arbiter.resubscribe({tag: ['x', 'y']})).toBe(true);
+        pub('a');
+        expect(spy.calls.count()).toBe(1);
+      });
+
+      it('returns false for unknown tags', function () {
+        expect(arbiter.unsubscribe({tag: 'x'})).toBe(false);
+        expect(arbiter.resubscribe({tag: 'x'})).toBe(false);
+      });
+
+      it('forgets subscriptions removed by other means', function () {
+        var spy = sub('a', null, {tag: 'x'});
+        arbiter.unsubscribe(spy.token);
+        expect(arbiter.unsubscribe({tag: 'x'})).toBe(false);
+      });
+
+      it('forgets subscriptions as soon as they are removed', function () {
+        sub('a.b', null, {tag: 'x'});
+        var spy = sub('c', null, {tag: ['x', 'y'], once: true});
+        arbiter.unsubscribe('a');
+        pub('c');
+
+        expect(spy).toHaveBeenCalled();
+        expect(arbiter.unsubscribe({tag: ['x', 'y']})).toBe(false);
+        expect(arbiter.topics()).toEqual([]);
+      });
+
+      it('forgets tags once their subscriptions are removed', function () {
+        sub('a', null, {tag: 'x'});
+        expect(arbiter.unsubscribe({tag: 'x'})).toBe(true);
+        expect(arbiter.unsubscribe({tag: 'x'})).toBe(false);
+      });
+
+      it('accepts tags named like object properties', function () {
+        sub('a', null, {tag: 'hasOwnProperty'});
+        sub('b', null, {tag: '__proto__'});
+        expect(arbiter.unsubscribe({tag: 'hasOwnProperty'})).toBe(true);
+        expect(arbiter.unsubscribe({tag: '__proto__'})).toBe(true);
+        expect(arbiter.topics()).toEqual([]);
+      });
+    });
+
+    describe('reprioritize', function () {
+      it('changes the order subscriptions are notified', function () {
+        var calls = [];
+        var token = arbiter.subscribe('a', function () {
+          calls.push('a');
+        });
+        sub('a', function () {
+          calls.push('b');
+        }, {priority: 1});
+
+        var newToken = arbiter.reprioritize(token, 2);
+        pub('a');
+        expect(calls).toEqual(['a', 'b']);
+        expect(newToken.priority).toBe(2);
+      });
+
+      it('keeps the suspended state and context', function () {
+        var context = {};
+        var spy = sub('a', null, null, context);
+        arbiter.unsubscribe(spy.token, true);
+        var token = arbiter.reprioritize(spy.token, 5);
+        pub('a');
+        expect(spy).not.toHaveBeenCalled();
+
+        arbiter.resubscribe(token);
+        pub('a');
+        expect(spy.calls.mostRecent().object).toBe(context);
+      });
+
+      it('does not invalidate previous tokens', function () {
+        var spy = sub('a');
+        arbiter.reprioritize(spy.token, 3);
+        expect(arbiter.unsubscribe(spy.token)).toBe(true);
+      });
+
+      it('returns false if the token cannot be located', function () {
+        expect(arbiter.reprioritize({topic: 'a', id: 0}, 1)).toBe(false);
+      });
+
+      it('throws an error if the token is not an object', function () {
+        function f () {
+          arbiter.reprioritize('abc', 5);
+        }
+        expect(f).toThrowError(/tokens/);
+      });
+
+      it('returns an array for multiple tokens', function () {
+        var spy = sub('a, b');
+        var result = arbiter.reprioritize(spy.token, 1);
+        expect(result.length).toBe(2);
+        expect(result[1].topic).toBe('b');
+      });
+    });
+
     describe('removePersisted', function () {
       it('clears a specific persisted message', function () {
         var promise = pub('x', null, {persist: true});
@@ -694,6 +1858,468 @@ describe('Arbiter', function () {
       });
     });
 
+    describe('topic pruning', function () {
+      it('removes topics when a token is unsubscribed', function () {
+        var spy = sub('doc.123.saved');
+        sub('doc');
+        arbiter.unsubscribe(spy.token);
+        expect(arbiter.inspect().children[0].children).toEqual([]);
+      });
+
+      it('removes topics when a topic is unsubscribed', function () {
+        sub('doc.123.saved, doc.123.deleted, doc.456');
+        arbiter.unsubscribe('doc.123');
+        expect(arbiter.topics()).toEqual(['doc.456']);
+        expect(arbiter.inspect().children[0].children.length).toBe(1);
+      });
+
+      it('keeps topics with persisted messages', function () {
+        pub('doc.123', null, {persist: true});
+        arbiter.unsubscribe(sub('doc.123.saved').token);
+        expect(arbiter.inspect().children[0].children[0].children)
+          .toEqual([]);
+        expect(arbiter.topics()).toEqual(['doc.123']);
+      });
+
+      it('keeps topics with suspended subscriptions', function () {
+        sub('doc.123');
+        arbiter.unsubscribe('doc', true);
+        expect(arbiter.topics()).toEqual(['doc.123']);
+      });
+
+      it('removes topics when persisted messages are removed', function () {
+        pub('doc.123', null, {persist: true});
+        var promise = pub('doc.456', null, {persist: true});
+        arbiter.removePersisted(promise);
+        arbiter.removePersisted('doc.123');
+        expect(arbiter.inspect().children).toEqual([]);
+      });
+
+      it('compact reports the number of removed topics', function () {
+        // The public API prunes eagerly, so stale topics can only be left
+        // behind by writing to the tree directly.
+        function node (topic, children) {
+          return {
+            topic: topic, subscriptions: [], persisted: [], children: children
+          };
+        }
+
+        sub('c');
+        arbiter._topics.children.unshift(node('a', [node('a.b', [])]));
+        expect(arbiter.compact()).toBe(2);
+        expect(arbiter.compact()).toBe(0);
+        expect(arbiter.topics()).toEqual(['c']);
+        expect(arbiter.inspect().children.length).toBe(1);
+      });
+    });
+
+    describe('waitFor', function () {
+      it('fulfills with the next publication', function (cb) {
+        arbiter.waitFor('a').then(function (result) {
+          expect(result).toEqual({data: 1, topic: 'a.b'});
+          expect(arbiter.topics()).toEqual([]);
+          cb();
+        });
+        pub('a.b', 1);
+      });
+
+      it('ignores filtered publications', function (cb) {
+        arbiter.waitFor('a', {filter: function (data) {
+          return data > 1;
+        }}).then(function (result) {
+          expect(result.data).toBe(2);
+          cb();
+        });
+        pub('a', 1);
+        pub('a', 2);
+      });
+
+      it('rejects and unsubscribes after the timeout', function (cb) {
+        arbiter.waitFor('a', {timeout: 1}).then(null, function (err) {
+          expect(err instanceof arbiter.TimeoutError).toBe(true);
+          expect(arbiter.topics()).toEqual([]);
+          cb();
+        });
+      });
+
+      it('ignores persisted messages by default', function (cb) {
+        pub('a', 1, {persist: true});
+        arbiter.waitFor('a').then(function (result) {
+          expect(result.data).toBe(2);
+          cb();
+        });
+        pub('a', 2);
+      });
+
+      it('persisted allows persisted messages to fulfill', function (cb) {
+        pub('a', 1, {persist: true});
+        arbiter.waitFor('a', {persisted: true, timeout: 1})
+          .then(function (result) {
+            expect(result.data).toBe(1);
+            cb();
+          });
+      });
+
+      it('unsubscribes every topic after a persisted message', function (cb) {
+        pub('a', 1, {persist: true});
+        arbiter.waitFor('a, b', {persisted: true}).then(function (result) {
+          expect(result.data).toBe(1);
+          expect(arbiter.subscriberCount('a')).toBe(0);
+          expect(arbiter.subscriberCount('b')).toBe(0);
+          cb();
+        });
+      });
+
+      it('is not counted by the publication by default', function () {
+        arbiter.waitFor('a');
+        var promise = pub('a');
+        expect(promise.fulfilled + promise.pending).toBe(0);
+      });
+
+      it('participate counts it in the publication', function () {
+        arbiter.waitFor('a', {participate: true});
+        var promise = pub('a');
+        expect(promise.fulfilled + promise.pending).toBe(1);
+      });
+    });
+
+    describe('stream', function () {
+      it('iterates over publications', function (cb) {
+        var iterator = arbiter.stream('a');
+        pub('a.b', 1);
+        pub('a', 2);
+
+        iterator.next().then(function (result) {
+          expect(result).toEqual({value: {data: 1, topic: 'a.b'}, done: false});
+          return iterator.next();
+        }).then(function (result) {
+          expect(result.value.data).toBe(2);
+          cb();
+        });
+      });
+
+      it('waits for the next publication', function (cb) {
+        var iterator = arbiter.stream('a');
+        iterator.next().then(function (result) {
+          expect(result.value.data).toBe(1);
+          cb();
+        });
+        pub('a', 1);
+      });
+
+      it('completes the subscriber on the next request', function (cb) {
+        var iterator = arbiter.stream('a');
+        var promise = pub('a');
+
+        iterator.next().then(function () {
+          expect(promise.pending).toBe(1);
+          iterator.next();
+          return promise;
+        }).then(function () {
+          expect(promise.fulfilled).toBe(1);
+          cb();
+        });
+      });
+
+      it('drop-oldest rejects the oldest publication', function (cb) {
+        var iterator = arbiter.stream('a', {bufferSize: 1});
+        var first = pub('a', 1);
+        pub('a', 2);
+
+        first.then(null, function () {
+          return iterator.next();
+        }).then(function (result) {
+          expect(result.value.data).toBe(2);
+          cb();
+        });
+      });
+
+      it('drop-newest rejects the newest publication', function (cb) {
+        var iterator = arbiter.stream('a', {
+          bufferSize: 1,
+          overflow: 'drop-newest'
+        });
+        pub('a', 1);
+
+        pub('a', 2).then(null, function () {
+          return iterator.next();
+        }).then(function (result) {
+          expect(result.value.data).toBe(1);
+          cb();
+        });
+      });
+
+      it('error ends the stream after the buffer', function (cb) {
+        var iterator = arbiter.stream('a', {bufferSize: 1, overflow: 'error'});
+        pub('a', 1);
+        pub('a', 2).then(null, noop);
+        expect(arbiter.topics()).toEqual([]);
+
+        iterator.next().then(function (result) {
+          expect(result.value.data).toBe(1);
+          return iterator.next();
+        }).then(null, function (err) {
+          expect(err instanceof Error).toBe(true);
+          cb();
+        });
+      });
+
+      it('return unsubscribes and ends the stream', function (cb) {
+        var iterator = arbiter.stream('a');
+        var request = iterator.next();
+        iterator['return']();
+        expect(arbiter.topics()).toEqual([]);
+
+        request.then(function (result) {
+          expect(result.done).toBe(true);
+          cb();
+        });
+      });
+
+      it('drops replayed persisted publications', function (cb) {
+        pub('a', 1, {persist: true});
+        pub('a', 2, {persist: true});
+        pub('a', 3, {persist: true});
+        var oldest = arbiter.stream('a', {bufferSize: 1});
+        var newest = arbiter.stream('a', {
+          bufferSize: 1,
+          overflow: 'drop-newest'
+        });
+
+        Promise.all([oldest.next(), newest.next()]).then(function (results) {
+          expect(results[0].value.data).toBe(3);
+          expect(results[1].value.data).toBe(1);
+          cb();
+        });
+      });
+
+      it('return drops replayed persisted publications', function (cb) {
+        pub('a', 1, {persist: true});
+        arbiter.stream('a')['return']().then(function (result) {
+          expect(result.done).toBe(true);
+          setTimeout(cb);
+        });
+      });
+
+      it('implements Symbol.asyncIterator if supported', function () {
+        var iterator = arbiter.stream('a');
+        if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+          expect(iterator[Symbol.asyncIterator]()).toBe(iterator);
+        }
+      });
+    });
+
+    describe('scope', function () {
+      var charts;
+      beforeEach(function () {
+        charts = arbiter.scope('plugins.charts');
+      });
+
+      it('prefixes subscriptions and publications', function () {
+        var spy = jasmine.createSpy();
+        var absolute = sub('plugins.charts.render');
+        charts.subscribe('render', spy);
+        charts.publish('render', 1);
+        arbiter.publish('plugins.charts.render', 2);
+        expect(absolute.calls.count()).toBe(2);
+        expect(spy.calls.argsFor(0).slice(0, 2)).toEqual([1, 'render']);
+        expect(spy.calls.argsFor(1).slice(0, 2)).toEqual([2, 'render']);
+      });
+
+      it('treats the empty topic as the scope root', function () {
+        var spy = jasmine.createSpy();
+        var root = sub('');
+        charts.subscribe('', spy);
+        arbiter.publish('plugins.charts.a.b');
+        arbiter.publish('plugins');
+        expect(spy.calls.count()).toBe(1);
+        expect(spy.calls.argsFor(0)[1]).toBe('a.b');
+
+        charts.unsubscribe('');
+        expect(arbiter.topics()).toEqual(['']);
+        expect(root.calls.count()).toBe(2);
+      });
+
+      it('returns relative tokens', function () {
+        var tokens = charts.subscribe('a, b', noop);
+        expect(tokens[0].topic).toBe('a');
+        expect(charts.unsubscribe(tokens[1], true)).toBe(true);
+        expect(charts.resubscribe(tokens[1])).toBe(true);
+        expect(charts.unsubscribe(tokens)).toEqual([true, true]);
+      });
+
+      it('returns handles with relative tokens', function () {
+        var spy = jasmine.createSpy();
+        var handle = charts.subscribe('x', spy, {handle: true});
+        expect(handle.token.topic).toBe('x');
+
+        handle.setPriority(2);
+        expect(handle.token.topic).toBe('x');
+        expect(handle.token.priority).toBe(2);
+
+        expect(handle.unsubscribe()).toBe(true);
+        charts.publish('x');
+        expect(spy).not.toHaveBeenCalled();
+      });
+
+      it('passes relative topics to filters', function () {
+        var spy = jasmine.createSpy();
+        charts.subscribe('', spy, {filter: function (data, topic) {
+          return topic === 'b';
+        }});
+        charts.publish('a');
+        charts.publish('b');
+        expect(spy.calls.count()).toBe(1);
+      });
+
+      it('keeps node-style subscriptions', function (cb) {
+        charts.subscribe('a', function (data, topic, done) {
+          done(null, topic);
+        });
+
+        charts.publish('a').then(function (results) {
+          expect(results).toEqual(['a']);
+          cb();
+        });
+      });
+
+      it('keeps the context of subscriptions', function () {
+        var context = {}, spy = jasmine.createSpy();
+        charts.subscribe('a', spy, null, context);
+        charts.publish('a');
+        expect(spy.calls.mostRecent().object).toBe(context);
+      });
+
+      it('removes persisted messages in the scope', function () {
+        charts.publish('a', null, {persist: true});
+        expect(charts.removePersisted('a')).toBe(true);
+        charts.publish('b', null, {persist: true});
+        charts.removePersisted();
+        expect(arbiter.topics()).toEqual([]);
+      });
+
+      it('removes persisted messages by their relative token', function () {
+        var promise = charts.publish('a', null, {persist: true});
+        expect(promise.token.topic).toBe('a');
+        expect(charts.removePersisted(promise)).toBe(true);
+        expect(arbiter.topics()).toEqual([]);
+      });
+
+      it('limits tag selectors to the scope', function () {
+        var outside = sub('other', null, {tag: 't'});
+        var inside = jasmine.createSpy('inside');
+        charts.subscribe('a', inside, {tag: 't'});
+
+        expect(charts.unsubscribe({tag: 't'})).toBe(true);
+        expect(charts.unsubscribe({tag: 't'})).toBe(false);
+        pub('other');
+        charts.publish('a');
+        expect(outside).toHaveBeenCalled();
+        expect(inside).not.toHaveBeenCalled();
+      });
+
+      it('can be nested', function () {
+        var spy = sub('plugins.charts.bar.a');
+        charts.scope('bar').publish('a');
+        expect(spy).toHaveBeenCalled();
+      });
+    });
+
+    describe('topics', function () {
+      it('lists topics with subscriptions or persisted messages', function () {
+        sub('c.d');
+        sub('a.*, b');
+        pub('e', null, {persist: true});
+        expect(arbiter.topics()).toEqual(['a.*', 'b', 'c.d', 'e']);
+      });
+
+      it('lists topics in sorted order', function () {
+        sub('a.b, a-c, a');
+        expect(arbiter.topics()).toEqual(['a', 'a-c', 'a.b']);
+      });
+
+      it('does not list topics without subscriptions', function () {
+        var spy = sub('a');
+        arbiter.unsubscribe(spy.token);
+        expect(arbiter.topics()).toEqual([]);
+      });
+    });
+
+    describe('subscriberCount', function () {
+      it('counts subscribers matching the topic exactly', function () {
+        sub('a');
+        sub('a.b, a.*');
+        expect(arbiter.subscriberCount('a.b')).toBe(2);
+      });
+
+      it('can include ancestors', function () {
+        sub('');
+        sub('a');
+        sub('a.b');
+        expect(arbiter.subscriberCount('a.b', {includeAncestors: true}))
+          .toBe(3);
+      });
+
+      it('does not count suspended subscribers', function () {
+        var spy = sub('a');
+        sub('a');
+        arbiter.unsubscribe(spy.token, true);
+        expect(arbiter.subscriberCount('a')).toBe(1);
+      });
+
+      it('throws an error if the topic is not a string', function () {
+        function f () {
+          arbiter.subscriberCount(null);
+        }
+        expect(f).toThrowError(/string/);
+      });
+    });
+
+    describe('hasSubscribers', function () {
+      it('is true when a publication notifies a subscriber', function () {
+        sub('a');
+        expect(arbiter.hasSubscribers('a')).toBe(true);
+        expect(arbiter.hasSubscribers('b')).toBe(false);
+      });
+
+      it('can include ancestors', function () {
+        sub('a');
+        expect(arbiter.hasSubscribers('a.b')).toBe(false);
+        expect(arbiter.hasSubscribers('a.b', {includeAncestors: true}))
+          .toBe(true);
+      });
+    });
+
+    describe('inspect', function () {
+      it('produces a snapshot of the topic tree', function () {
+        var spy = sub('a', null, {priority: 2});
+        arbiter.unsubscribe(spy.token, true);
+        pub('a.b', null, {persist: true});
+
+        expect(arbiter.inspect()).toEqual({
+          topic: '',
+          subscriptions: [],
+          persisted: 0,
+          children: [{
+            topic: 'a',
+            subscriptions: [
+              {id: spy.token.id, priority: 2, suspended: true}
+            ],
+            persisted: 0,
+            children: [
+              {topic: 'a.b', subscriptions: [], persisted: 1, children: []}
+            ]
+          }]
+        });
+      });
+
+      it('is not updated', function () {
+        var snapshot = arbiter.inspect();
+        sub('a');
+        expect(snapshot.children.length).toBe(0);
+      });
+    });
+
     describe('create', function () {
       it('creates a new arbiter', function () {
         expect(arbiter).toBeTruthy();
@@ -716,6 +2342,69 @@ describe('Arbiter', function () {
         a.publish('d');
         expect(spy).not.toHaveBeenCalled();
       });
+
+      describe('config', function () {
+        beforeEach(function () {
+          arbiter = arbiter.create({separator: '/', listDelimiter: ';'});
+          arbiter.options.sync = true;
+        });
+
+        it('throws an error for invalid delimiters', function () {
+          function f () {
+            Arbiter.create({separator: ''});
+          }
+          function g () {
+            Arbiter.create({listDelimiter: '\\'});
+          }
+          expect(f).toThrowError(/separators/);
+          expect(g).toThrowError(/list delimiters/);
+        });
+
+        it('changes the generation separator', function () {
+          expect(s1po('a', 'a/b.c')).toHaveBeenCalled();
+          expect(s1po('a.b', 'a.b/c')).toHaveBeenCalled();
+          expect(s1po('a', 'a.b')).not.toHaveBeenCalled();
+        });
+
+        it('finds ancestors past siblings that sort between', function () {
+          sub('docs.v2');
+          var spy = sub('docs');
+          sub('docs/readme');
+          pub('docs/readme');
+          expect(spy).toHaveBeenCalled();
+          expect(arbiter.topics()).toEqual(['docs', 'docs.v2', 'docs/readme']);
+        });
+
+        it('changes the separator for wildcards', function () {
+          expect(s1po('a/*/c', 'a/1.2.3/c')).toHaveBeenCalled();
+        });
+
+        it('changes the list delimiter', function () {
+          var spy = sub('a, b;c');
+          pub('a, b');
+          pub('c');
+          expect(spy.calls.count()).toBe(2);
+          expect(arbiter.unsubscribe('a, b;c')).toEqual([true, true]);
+        });
+
+        it('can escape the separator', function () {
+          expect(s1po('1\\/2', '1\\/2/3')).toHaveBeenCalled();
+          expect(s1po('1', '1\\/2')).not.toHaveBeenCalled();
+        });
+
+        it('can escape the list delimiter', function () {
+          var spy = sub('a\\;b');
+          pub('a;b');
+          expect(spy).toHaveBeenCalled();
+        });
+
+        it('removes persisted messages by topic', function () {
+          pub('a/b', null, {persist: true});
+          pub('c', null, {persist: true});
+          expect(arbiter.removePersisted('a; c')).toEqual([true, true]);
+          expect(sub('')).not.toHaveBeenCalled();
+        });
+      });
     });
 
     // ************************************************************************